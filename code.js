@@ -9,6 +9,17 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
 // ============================================================================
 // Constants
 // ============================================================================
@@ -16,21 +27,112 @@ const DEBUG = false;
 const API_BASE_URL = 'https://api.visionati.com';
 const POLL_INTERVAL_MS = 2000;
 const MAX_POLL_ATTEMPTS = 30;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
 const MAX_EXPORT_DIMENSION = 2048;
+const MIN_EXPORT_DIMENSION = 256;
+const MAX_UPLOAD_DIMENSION = 4096;
+// Most images per API call; batches also stay within MAX_BATCH_BYTES of base64,
+// which is what the request body carries
 const BATCH_SIZE = 10;
+const MAX_BATCH_BYTES = 6 * 1024 * 1024;
+// Typical PNG size per pixel, for estimates made before exporting. Photos export
+// at about 1.2-1.6 bytes per pixel (RGB, with the constant alpha compressing away);
+// flat graphics come out much smaller.
+const PNG_BYTES_PER_PIXEL = 1.5;
+const IMAGE_ENCODE_TIMEOUT_MS = 30000;
+// Low-resolution vision models that gain nothing from large images
+const SMALL_MODEL_BACKENDS = ['llava', 'bakllava'];
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+const MAX_COMPARE_BACKENDS = 4;
+const DEFAULT_CONTEXT_LIMIT = 500;
+const RESULT_CACHE_STORAGE_KEY = 'resultCache';
+const RESULT_CACHE_MAX_ENTRIES = 500;
+const HISTORY_MAX_ENTRIES = 500;
+const CUSTOM_FIELDS_STORAGE_KEY = 'customFields';
+// Tiny icons and hidden variants are not worth describing
+const DEFAULT_SCAN_FILTERS = {
+    minSize: 32,
+    includeHidden: false,
+    includeLocked: true,
+    includeInInstances: true,
+    pageIds: [],
+    sectionNames: [],
+};
+const DEFAULT_GENERATE_OPTIONS = {
+    onlyMissing: false,
+    languages: [],
+    compareBackends: [],
+    context: false,
+    contextLimit: DEFAULT_CONTEXT_LIMIT,
+    rawImage: false,
+    staleOnly: false,
+    retry: [],
+    filters: DEFAULT_SCAN_FILTERS,
+    components: false,
+    describeSelection: false,
+};
+// Screen readers read alt text in one go, so about 125 characters is the usual guideline
+const DEFAULT_LINT_SETTINGS = {
+    maxLength: 125,
+    bannedOpenings: [
+        'image of', 'an image of', 'picture of', 'a picture of',
+        'photo of', 'a photo of', 'photograph of', 'graphic of',
+    ],
+    severity: {
+        empty: 'error',
+        max_length: 'warning',
+        banned_opening: 'warning',
+        duplicate: 'warning',
+        filename: 'error',
+    },
+    blockApplyAllOnErrors: false,
+};
+const DEFAULT_IMAGE_EXPORT_OPTIONS = {
+    format: 'PNG',
+    quality: 80,
+    maxDimension: MAX_EXPORT_DIMENSION,
+    smallModelMaxDimension: 1024,
+};
 const DEFAULT_SETTINGS = {
     apiKey: '',
     backend: 'gemini',
     language: 'English',
-    prompt: '',
+    prompts: {},
+    lint: DEFAULT_LINT_SETTINGS,
+    concurrency: DEFAULT_CONCURRENCY,
+    imageExport: DEFAULT_IMAGE_EXPORT_OPTIONS,
 };
+// Settings stored as plain strings, one clientStorage key each
 const SETTINGS_KEYS = [
     'apiKey',
     'backend',
     'language',
-    'prompt',
 ];
-const FIELD_CONFIGS = {
+const PROMPTS_STORAGE_KEY = 'prompts';
+// Before per-field prompts, one prompt replaced the role of every field
+const LEGACY_PROMPT_STORAGE_KEY = 'prompt';
+const LINT_STORAGE_KEY = 'lint';
+const CONCURRENCY_STORAGE_KEY = 'concurrency';
+const IMAGE_EXPORT_STORAGE_KEY = 'imageExport';
+// A bare file name such as "IMG_2034.png", or a camera default such as "DSC01234"
+const FILENAME_PATTERN = /^[^\s/\\]+\.(png|jpe?g|gif|webp|svg|avif|heic|tiff?|bmp)$/i;
+const CAMERA_NAME_PATTERN = /^(img|dsc|dscn|dcim|pxl|mvimg|screenshot)[_-]?\d[\w-]*$/i;
+const PROMPT_PLACEHOLDER_PATTERN = /\{(layerName|frameName|language)\}/g;
+// Prompts using these differ per image, so they are sent one image per request
+const PER_IMAGE_PLACEHOLDER_PATTERN = /\{(layerName|frameName)\}/;
+// Containers whose names say where an image sits, e.g. a "Team" section
+const CONTEXT_CONTAINER_TYPES = ['FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+// A prompt replaces the role, so fields without one get an instruction for their role
+// when context is added
+const CONTEXT_ROLE_PROMPTS = {
+    alttext: 'Write concise alt text for this image.',
+    caption: 'Write a short caption for this image.',
+};
+const CONTEXT_DEFAULT_PROMPT = 'Describe this image.';
+const BUILT_IN_FIELD_CONFIGS = {
     alt_text: {
         role: 'alttext',
         categoryLabel: 'Alt Text',
@@ -50,8 +152,74 @@ const FIELD_CONFIGS = {
         annotationPrefix: 'DESCRIPTION',
     },
 };
-// Category IDs cached for the session
+// Language tags for annotations in extra languages, e.g. **ALT TEXT (de)**.
+// ISO 639-1 where one exists; keys match the language names the API accepts.
+const LANGUAGE_CODES = {
+    'Abkhazian': 'ab', 'Afar': 'aa', 'Afrikaans': 'af', 'Albanian': 'sq', 'Amharic': 'am',
+    'Arabic': 'ar', 'Aragonese': 'an', 'Armenian': 'hy', 'Assamese': 'as', 'Aymara': 'ay',
+    'Azerbaijani': 'az', 'Bashkir': 'ba', 'Basque': 'eu', 'Bengali (Bangla)': 'bn', 'Bhutani': 'dz',
+    'Bihari': 'bh', 'Bislama': 'bi', 'Breton': 'br', 'Bulgarian': 'bg', 'Burmese': 'my',
+    'Byelorussian (Belarusian)': 'be', 'Cambodian': 'km', 'Catalan': 'ca', 'Cherokee': 'chr',
+    'Chewa': 'ny', 'Chinese': 'zh', 'Chinese (Simplified)': 'zh-Hans',
+    'Chinese (Traditional)': 'zh-Hant', 'Corsican': 'co', 'Croatian': 'hr', 'Czech': 'cs',
+    'Danish': 'da', 'Divehi': 'dv', 'Dutch': 'nl', 'Edo': 'bin', 'English': 'en', 'Esperanto': 'eo',
+    'Estonian': 'et', 'Faeroese': 'fo', 'Farsi': 'fa', 'Fiji': 'fj', 'Finnish': 'fi', 'French': 'fr',
+    'Frisian': 'fy', 'Fulfulde': 'ff', 'Galician': 'gl', 'Gaelic (Scottish)': 'gd',
+    'Gaelic (Manx)': 'gv', 'Georgian': 'ka', 'German': 'de', 'Greek': 'el', 'Greenlandic': 'kl',
+    'Guarani': 'gn', 'Gujarati': 'gu', 'Haitian Creole': 'ht', 'Hausa': 'ha', 'Hawaiian': 'haw',
+    'Hebrew': 'he', 'Hindi': 'hi', 'Hungarian': 'hu', 'Icelandic': 'is', 'Ido': 'io', 'Igbo': 'ig',
+    'Indonesian': 'id', 'Interlingua': 'ia', 'Interlingue': 'ie', 'Inuktitut': 'iu', 'Inupiak': 'ik',
+    'Irish': 'ga', 'Italian': 'it', 'Japanese': 'ja', 'Javanese': 'jv', 'Kannada': 'kn',
+    'Kanuri': 'kr', 'Kashmiri': 'ks', 'Kazakh': 'kk', 'Kinyarwanda (Ruanda)': 'rw', 'Kirghiz': 'ky',
+    'Kirundi (Rundi)': 'rn', 'Konkani': 'kok', 'Korean': 'ko', 'Kurdish': 'ku', 'Laothian': 'lo',
+    'Latin': 'la', 'Latvian (Lettish)': 'lv', 'Limburgish (Limburger)': 'li', 'Lingala': 'ln',
+    'Lithuanian': 'lt', 'Macedonian': 'mk', 'Malagasy': 'mg', 'Malay': 'ms', 'Malayalam': 'ml',
+    'Maltese': 'mt', 'Maori': 'mi', 'Marathi': 'mr', 'Moldavian': 'ro-MD', 'Mongolian': 'mn',
+    'Nauru': 'na', 'Nepali': 'ne', 'Norwegian': 'no', 'Occitan': 'oc', 'Oriya': 'or',
+    'Oromo (Afaan Oromo)': 'om', 'Papiamentu': 'pap', 'Pashto (Pushto)': 'ps', 'Polish': 'pl',
+    'Portuguese': 'pt', 'Punjabi': 'pa', 'Quechua': 'qu', 'Rhaeto-Romance': 'rm', 'Romanian': 'ro',
+    'Russian': 'ru', 'Samoan': 'sm', 'Sangro': 'sg', 'Sanskrit': 'sa', 'Serbian': 'sr',
+    'Serbo-Croatian': 'sh', 'Sesotho': 'st', 'Setswana': 'tn', 'Shona': 'sn', 'Sichuan Yi': 'ii',
+    'Sindhi': 'sd', 'Sinhalese': 'si', 'Siswati': 'ss', 'Slovak': 'sk', 'Slovenian': 'sl',
+    'Somali': 'so', 'Spanish': 'es', 'Sundanese': 'su', 'Swahili (Kiswahili)': 'sw', 'Swedish': 'sv',
+    'Syriac': 'syr', 'Tagalog': 'tl', 'Tajik': 'tg', 'Tamazight': 'ber', 'Tamil': 'ta',
+    'Tatar': 'tt', 'Telugu': 'te', 'Thai': 'th', 'Tibetan': 'bo', 'Tigrinya': 'ti', 'Tonga': 'to',
+    'Tsonga': 'ts', 'Turkish': 'tr', 'Turkmen': 'tk', 'Twi': 'tw', 'Uighur': 'ug', 'Ukrainian': 'uk',
+    'Urdu': 'ur', 'Uzbek': 'uz', 'Venda': 've', 'Vietnamese': 'vi', 'Volapük': 'vo', 'Wallon': 'wa',
+    'Welsh': 'cy', 'Wolof': 'wo', 'Xhosa': 'xh', 'Yiddish yi': 'yi', 'Yoruba': 'yo', 'Zulu': 'zu',
+};
+const CATEGORY_COLORS = [
+    'yellow', 'orange', 'red', 'pink', 'violet', 'blue', 'teal', 'green',
+];
+// Column names the import parser reserves, so custom field IDs can't use them
+const RESERVED_FIELD_IDS = ['node_id', 'id', 'layer_name', 'layer', 'name', 'frame_path', 'path', 'page', 'field', 'text'];
+// Built-in plus custom fields, rebuilt by registerCustomFields()
+let fieldConfigs = Object.assign({}, BUILT_IN_FIELD_CONFIGS);
+// Decorative images (WCAG empty alt) get this annotation in the Alt Text category,
+// plus node plugin data so the state survives annotation edits outside the plugin
+const DECORATIVE_PREFIX = 'DECORATIVE';
+const DECORATIVE_TEXT = 'Decorative image (empty alt).';
+const DECORATIVE_PLUGIN_DATA_KEY = 'decorative';
+// Alt text of decorative images in exports; importing it marks the image decorative
+const DECORATIVE_EXPORT_TEXT = '[decorative]';
+// Layers without an image fill (illustrations, charts, icons) that scans describe
+// as one image, marked with this node plugin data
+const TREAT_AS_IMAGE_PLUGIN_DATA_KEY = 'treatAsImage';
+// Node types that can be treated as images. Groups and boolean operations can't
+// hold annotations.
+const TREAT_AS_IMAGE_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'VECTOR', 'STAR', 'POLYGON', 'ELLIPSE', 'LINE', 'RECTANGLE'];
+// Shared plugin data namespace for FieldMetadata, one key per field ID
+const SHARED_DATA_NAMESPACE = 'visionati';
+// Node plugin data key prefix for each field's FieldVersion list, e.g. "versions:alt_text"
+const VERSIONS_PLUGIN_DATA_PREFIX = 'versions:';
+const MAX_FIELD_VERSIONS = 20;
+// Category IDs cached for the session (keyed by field; cleared when custom fields change)
 const categoryIdCache = new Map();
+// The generation run in progress, if any
+let activeRun = null;
+// Annotation changes made this session, oldest first (see logAnnotationChanges)
+const annotationHistory = [];
+let nextHistoryId = 1;
 // Track selectionchange handler to avoid accumulating listeners
 let selectionChangeHandler = null;
 // ============================================================================
@@ -67,49 +235,459 @@ function nodeHasImageFill(node) {
         node.fills.some((paint) => paint.type === 'IMAGE' && paint.visible !== false));
 }
 /**
- * Recursively find all nodes with image fills from an array of nodes.
- * Traverses descendants using findAll when available.
+ * Check if a node can be marked "Treat as image".
+ */
+function canTreatAsImage(node) {
+    return TREAT_AS_IMAGE_TYPES.includes(node.type);
+}
+/**
+ * Check if a node was marked "Treat as image".
+ */
+function isTreatedAsImage(node) {
+    return node.getPluginData(TREAT_AS_IMAGE_PLUGIN_DATA_KEY) === 'true';
+}
+/**
+ * Check if scans describe a node: it has an image fill or is treated as an image.
  */
-function getImageNodes(nodes) {
+function isImageNode(node) {
+    return nodeHasImageFill(node) || isTreatedAsImage(node);
+}
+/**
+ * Return the topmost visible IMAGE paint on a node, or null if it has none.
+ * Figma paints are ordered bottom to top.
+ */
+function getTopImagePaint(node) {
+    if (!('fills' in node) || !Array.isArray(node.fills))
+        return null;
+    const fills = node.fills;
+    for (let i = fills.length - 1; i >= 0; i--) {
+        const paint = fills[i];
+        if (paint.type === 'IMAGE' && paint.visible !== false) {
+            return paint;
+        }
+    }
+    return null;
+}
+/**
+ * Recursively find all nodes with image fills, or treated as images, from an array
+ * of nodes. Traverses descendants using findAll when available. A layer treated as
+ * an image is described as a whole, so images inside it are left out. With filters,
+ * images that don't pass passesScanFilters() are left out and counted in stats.
+ */
+function getImageNodes(nodes, filters, stats) {
     const imageNodes = [];
     const seen = new Set();
-    for (const node of nodes) {
-        if (nodeHasImageFill(node) && !seen.has(node.id)) {
-            imageNodes.push(node);
-            seen.add(node.id);
+    const add = (node) => {
+        if (seen.has(node.id))
+            return;
+        seen.add(node.id);
+        if (filters && !passesScanFilters(node, filters)) {
+            if (stats)
+                stats.filtered++;
+            return;
         }
+        imageNodes.push(node);
+    };
+    for (const node of nodes) {
+        if (isImageNode(node))
+            add(node);
         // Traverse descendants
-        if ('findAll' in node) {
-            const descendants = node.findAll((descendant) => nodeHasImageFill(descendant));
-            for (const desc of descendants) {
-                if (!seen.has(desc.id)) {
-                    imageNodes.push(desc);
-                    seen.add(desc.id);
+        if ('findAll' in node && !isTreatedAsImage(node)) {
+            const descendants = node.findAll(isImageNode);
+            const treatedIds = new Set(descendants.filter(isTreatedAsImage).map(d => d.id));
+            const insideTreated = (desc) => {
+                for (let p = desc.parent; p && p !== node; p = p.parent) {
+                    if (treatedIds.has(p.id))
+                        return true;
                 }
+                return false;
+            };
+            for (const desc of descendants) {
+                if (treatedIds.size === 0 || !insideTreated(desc))
+                    add(desc);
             }
         }
     }
     return imageNodes;
 }
+/**
+ * The images a selection or page scan sends, after the scan filters. The selection
+ * already says where to look, so sections don't narrow it.
+ */
+function getScanImageNodes(source, filters, stats) {
+    return source === 'selection'
+        ? getImageNodes(figma.currentPage.selection, Object.assign(Object.assign({}, filters), { sectionNames: [] }), stats)
+        : getImageNodes(figma.currentPage.children, filters, stats);
+}
+/**
+ * Check an image node against the scan filters. Hidden and locked state is
+ * inherited, so a layer inside a hidden frame counts as hidden.
+ */
+function passesScanFilters(node, filters) {
+    const bounds = 'absoluteRenderBounds' in node ? node.absoluteRenderBounds : null;
+    const size = bounds ? Math.max(bounds.width, bounds.height) : Math.max(node.width, node.height);
+    if (size < filters.minSize)
+        return false;
+    let inSection = filters.sectionNames.length === 0;
+    for (let current = node; current && current.type !== 'PAGE' && current.type !== 'DOCUMENT'; current = current.parent) {
+        const scene = current;
+        if (!filters.includeHidden && scene.visible === false)
+            return false;
+        if (!filters.includeLocked && scene.locked)
+            return false;
+        if (!filters.includeInInstances && current !== node && current.type === 'INSTANCE')
+            return false;
+        if (current.type === 'SECTION' && filters.sectionNames.includes(current.name.trim().toLowerCase()))
+            inSection = true;
+    }
+    return inSection;
+}
+/**
+ * Fill in defaults for missing or invalid scan filters from the UI.
+ */
+function normalizeScanFilters(value) {
+    const raw = value && typeof value === 'object' ? value : {};
+    const minSize = Number(raw.minSize);
+    const list = (v) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter((x) => x !== '') : []);
+    return {
+        minSize: isFinite(minSize) && minSize >= 0 ? minSize : DEFAULT_SCAN_FILTERS.minSize,
+        includeHidden: typeof raw.includeHidden === 'boolean' ? raw.includeHidden : DEFAULT_SCAN_FILTERS.includeHidden,
+        includeLocked: typeof raw.includeLocked === 'boolean' ? raw.includeLocked : DEFAULT_SCAN_FILTERS.includeLocked,
+        includeInInstances: typeof raw.includeInInstances === 'boolean' ? raw.includeInInstances : DEFAULT_SCAN_FILTERS.includeInInstances,
+        pageIds: list(raw.pageIds),
+        sectionNames: list(raw.sectionNames).map(name => name.toLowerCase()),
+    };
+}
+/**
+ * Find image nodes on every page, or on the pages in filters.pageIds. Each page is
+ * loaded first, since the manifest uses dynamic page loading.
+ */
+function getDocumentImageNodes(filters, stats, run) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const pages = figma.root.children.filter(page => filters.pageIds.length === 0 || filters.pageIds.includes(page.id));
+        const imageNodes = [];
+        for (let i = 0; i < pages.length; i++) {
+            throwIfCancelled(run);
+            sendToUI({ type: 'status', message: `Scanning page ${i + 1}/${pages.length}: ${pages[i].name}...` });
+            yield pages[i].loadAsync();
+            for (const node of getImageNodes(pages[i].children, filters, stats)) {
+                imageNodes.push(node);
+            }
+        }
+        return imageNodes;
+    });
+}
+// ============================================================================
+// Components
+// ============================================================================
+/**
+ * Return the outermost instance a node sits in (or is), or null if there is none.
+ */
+function getOutermostInstance(node) {
+    let instance = null;
+    for (let current = node; current && current.type !== 'PAGE'; current = current.parent) {
+        if (current.type === 'INSTANCE')
+            instance = current;
+    }
+    return instance;
+}
+/**
+ * Display name of a main component. Variants are named after their set.
+ */
+function componentLabel(component) {
+    return component.parent && component.parent.type === 'COMPONENT_SET'
+        ? `${component.parent.name} / ${component.name}`
+        : component.name;
+}
+/**
+ * Follow child indices down from a node. Instances mirror the layer tree of their
+ * main component, so the same indices lead to the matching layer.
+ */
+function findNodeByPath(root, path) {
+    let current = root;
+    for (const index of path) {
+        if (!('children' in current) || !current.children[index])
+            return null;
+        current = current.children[index];
+    }
+    return current;
+}
+/**
+ * Find the main component layer an image layer inside an instance comes from.
+ * Instances are checked from the innermost out, and the first main component whose
+ * layer shows the same image wins, so a nested component is described once for
+ * every component that uses it. Library components are read-only and are skipped
+ * when a local one also matches. Returns null when the layer is not in an instance.
+ */
+function resolveComponentSource(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const topPaint = getTopImagePaint(node);
+        const hash = topPaint ? topPaint.imageHash : null;
+        const path = [];
+        let source = null;
+        for (let current = node;; current = current.parent) {
+            if (current.type === 'INSTANCE') {
+                const component = yield current.getMainComponentAsync();
+                const counterpart = component ? findNodeByPath(component, path) : null;
+                const counterpartPaint = counterpart ? getTopImagePaint(counterpart) : null;
+                // Layers treated as images have no image hash to compare, so a layer of the same
+                // type is taken as the same
+                const matches = !!counterpart && (hash
+                    ? !!counterpartPaint && counterpartPaint.imageHash === hash
+                    : counterpart.type === node.type);
+                if (component && matches && !component.remote) {
+                    return { main: counterpart, componentName: componentLabel(component), overridden: false, library: false };
+                }
+                if (component && (!source || (matches && !source.library))) {
+                    source = { main: null, componentName: componentLabel(component), overridden: !matches, library: matches };
+                }
+            }
+            const parent = current.parent;
+            if (!parent || parent.type === 'PAGE' || parent.type === 'DOCUMENT')
+                break;
+            path.unshift(parent.children.indexOf(current));
+        }
+        return source;
+    });
+}
+/**
+ * Replace image layers inside instances with the main component layers they come
+ * from, so each is described once and its instances inherit the annotations.
+ * Instance layers with an overridden image, or from a library component, stay as
+ * they are. Returns the layers to describe and component info keyed by their IDs.
+ */
+function resolveComponentTargets(nodes, run) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const targets = [];
+        const components = new Map();
+        const seen = new Set();
+        const addTarget = (node) => {
+            if (seen.has(node.id))
+                return;
+            seen.add(node.id);
+            targets.push(node);
+        };
+        for (const node of nodes) {
+            throwIfCancelled(run);
+            const source = yield resolveComponentSource(node);
+            if (!source) {
+                addTarget(node);
+                continue;
+            }
+            if (!source.main) {
+                components.set(node.id, {
+                    name: source.componentName,
+                    overridden: source.overridden || undefined,
+                    library: source.library || undefined,
+                });
+                addTarget(node);
+                continue;
+            }
+            addTarget(source.main);
+            const info = components.get(source.main.id) || { name: source.componentName, inheritedBy: [] };
+            // Named after the instance placed in the design, since instance layers share names
+            info.inheritedBy.push({ nodeId: node.id, nodeName: `${getOutermostInstance(node).name} / ${node.name}` });
+            components.set(source.main.id, info);
+        }
+        return { nodes: targets, components };
+    });
+}
 // ============================================================================
 // Image Export
 // ============================================================================
 /**
- * Export a node as PNG bytes, capping the longest dimension at MAX_EXPORT_DIMENSION.
- * LLMs don't benefit from higher resolution, and capping keeps payloads manageable
- * for large batches (e.g., 30+ images per API call).
+ * Export constraint that caps the longest side at maxDimension, or undefined
+ * when the node is already small enough.
+ */
+function exportConstraint(node, maxDimension) {
+    if (Math.max(node.width, node.height) <= maxDimension)
+        return undefined;
+    return node.width >= node.height
+        ? { type: 'WIDTH', value: maxDimension }
+        : { type: 'HEIGHT', value: maxDimension };
+}
+/**
+ * Longest side to upload at. Small models get the smaller cap, but only when
+ * every requested backend is one (a compare run sends the same images to all).
+ */
+function uploadMaxDimension(options, backends) {
+    const allSmall = backends.length > 0 && backends.every(b => SMALL_MODEL_BACKENDS.includes(b));
+    return allSmall ? Math.min(options.maxDimension, options.smallModelMaxDimension) : options.maxDimension;
+}
+/**
+ * Export a node for upload with the export options: PNG, or JPEG at the chosen
+ * quality. Figma's own JPG export has a fixed quality, so the PNG is re-encoded
+ * in the UI; if that fails, Figma's JPG export is used instead.
+ */
+function exportNodeForUpload(node, options, backends) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const constraint = exportConstraint(node, uploadMaxDimension(options, backends));
+        const png = yield node.exportAsync(constraint ? { format: 'PNG', constraint } : { format: 'PNG' });
+        if (options.format === 'PNG')
+            return png;
+        const jpeg = yield encodeImageInUI(png, 'JPG', options.quality);
+        if (jpeg)
+            return jpeg;
+        return yield node.exportAsync(constraint ? { format: 'JPG', constraint } : { format: 'JPG' });
+    });
+}
+/**
+ * The original image of a node whose only visible fill is an image, or null.
+ * Nodes with more than one visible fill are exported as rendered instead, since
+ * the other fills change what the image looks like.
+ */
+function getSoleImageFill(node) {
+    if (!('fills' in node) || !Array.isArray(node.fills))
+        return null;
+    const visible = node.fills.filter(paint => paint.visible !== false);
+    if (visible.length !== 1 || visible[0].type !== 'IMAGE' || !visible[0].imageHash)
+        return null;
+    return figma.getImageByHash(visible[0].imageHash);
+}
+/**
+ * The original image a raw-mode run sends for a node, with its size, or null when
+ * the node has none or it can't be read (the rendered layer is sent instead).
+ */
+function getRawImage(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const image = getSoleImageFill(node);
+        if (!image)
+            return null;
+        try {
+            const size = yield image.getSizeAsync();
+            return { image, width: size.width, height: size.height };
+        }
+        catch (err) {
+            console.warn(`[Visionati] Original image unavailable for "${node.name}", sending the rendered layer:`, err);
+            return null;
+        }
+    });
+}
+/**
+ * Original bytes of an image fill, for describing the asset rather than the node.
+ * Sent unchanged when within the upload cap; larger images are downscaled in the
+ * UI and re-encoded in the upload format. Resolves null if that fails.
+ */
+function exportRawImageForUpload(image, size, options, backends) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const bytes = yield image.getBytesAsync();
+        const maxDimension = uploadMaxDimension(options, backends);
+        if (Math.max(size.width, size.height) <= maxDimension)
+            return bytes;
+        return yield encodeImageInUI(bytes, options.format, options.quality, maxDimension);
+    });
+}
+/**
+ * Estimate an image's upload size in bytes before exporting it, from its pixel
+ * size (capped for upload) and the format. Used to build batches and for the
+ * Settings estimate.
+ */
+function estimateUploadBytes(width, height, options, backends) {
+    const scale = Math.min(1, uploadMaxDimension(options, backends) / Math.max(width, height, 1));
+    const pixels = Math.max(1, Math.round(width * scale)) * Math.max(1, Math.round(height * scale));
+    // JPEG grows steeply toward quality 100: about 0.1 bytes/pixel at 50, 0.28 at 80, 0.58 at 100
+    const bytesPerPixel = options.format === 'JPG'
+        ? 0.08 + 0.5 * Math.pow(options.quality / 100, 4)
+        : PNG_BYTES_PER_PIXEL;
+    return Math.round(pixels * bytesPerPixel);
+}
+const pendingImageEncodes = new Map();
+let nextImageEncodeId = 1;
+/**
+ * Ask the UI to re-encode image bytes with a canvas, as PNG or as JPEG at the
+ * given quality, downscaling to maxDimension when given. Resolves null if the UI
+ * reports an error or doesn't answer within IMAGE_ENCODE_TIMEOUT_MS.
+ */
+function encodeImageInUI(bytes, format, quality, maxDimension) {
+    const id = nextImageEncodeId++;
+    return new Promise(resolve => {
+        const timer = setTimeout(() => finish(null), IMAGE_ENCODE_TIMEOUT_MS);
+        const finish = (encoded) => {
+            clearTimeout(timer);
+            pendingImageEncodes.delete(id);
+            resolve(encoded);
+        };
+        pendingImageEncodes.set(id, finish);
+        sendToUI({ type: 'encode-image', id, bytes, format, quality, maxDimension });
+    });
+}
+/**
+ * Split items into batches of at most maxCount whose estimated sizes, once
+ * base64-encoded, add up to no more than MAX_BATCH_BYTES. An item over the
+ * budget gets a batch of its own.
+ */
+function chunkByBytes(items, sizeOf, maxCount) {
+    const chunks = [];
+    let current = [];
+    let bytes = 0;
+    for (const item of items) {
+        const size = base64Length(sizeOf(item));
+        if (current.length > 0 && (current.length >= maxCount || bytes + size > MAX_BATCH_BYTES)) {
+            chunks.push(current);
+            current = [];
+            bytes = 0;
+        }
+        current.push(item);
+        bytes += size;
+    }
+    if (current.length > 0)
+        chunks.push(current);
+    return chunks;
+}
+/**
+ * Size of bytes once base64-encoded for the request body.
+ */
+function base64Length(bytes) {
+    return Math.ceil(bytes / 3) * 4;
+}
+/**
+ * Human-readable byte count, e.g. "3.4 MB".
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024)
+        return `${bytes} B`;
+    if (bytes < 1024 * 1024)
+        return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+/**
+ * Estimated upload size of one image as a run sends it: the original fill in raw
+ * mode (see getRawImage), otherwise the rendered layer.
+ */
+function estimateImageUploadBytes(node, raw, options, backends) {
+    const size = raw || node;
+    return estimateUploadBytes(size.width, size.height, options, backends);
+}
+/**
+ * Estimate the upload for the selection, or the page when nothing is selected:
+ * the images a run with these filters would send, their base64 size and the
+ * requests per field.
  */
-function exportNodeAsPng(node) {
+function estimateUpload(options, backends, filters, rawImage) {
     return __awaiter(this, void 0, void 0, function* () {
-        // Cap the longest dimension to avoid huge payloads
-        const maxDim = Math.max(node.width, node.height);
-        if (maxDim > MAX_EXPORT_DIMENSION) {
-            const constraint = node.width >= node.height
-                ? { type: 'WIDTH', value: MAX_EXPORT_DIMENSION }
-                : { type: 'HEIGHT', value: MAX_EXPORT_DIMENSION };
-            return yield node.exportAsync({ format: 'PNG', constraint });
-        }
-        return yield node.exportAsync({ format: 'PNG' });
+        const scope = figma.currentPage.selection.length > 0 ? 'selection' : 'page';
+        const nodes = getScanImageNodes(scope, filters);
+        const seen = new Set();
+        const sizes = [];
+        for (const node of nodes) {
+            if (isNodeDecorative(node))
+                continue;
+            // Layers showing the same image are sent once
+            const paint = getTopImagePaint(node);
+            if (paint && paint.imageHash) {
+                if (seen.has(paint.imageHash))
+                    continue;
+                seen.add(paint.imageHash);
+            }
+            const raw = rawImage ? yield getRawImage(node) : null;
+            sizes.push(estimateImageUploadBytes(node, raw, options, backends));
+        }
+        return {
+            scope,
+            images: sizes.length,
+            bytes: sizes.reduce((sum, size) => sum + base64Length(size), 0),
+            batches: chunkByBytes(sizes, size => size, BATCH_SIZE).length,
+        };
     });
 }
 /**
@@ -134,16 +712,58 @@ function exportNodeThumbnail(node) {
  */
 function loadSettings() {
     return __awaiter(this, void 0, void 0, function* () {
-        const settings = Object.assign({}, DEFAULT_SETTINGS);
+        const settings = Object.assign(Object.assign({}, DEFAULT_SETTINGS), { prompts: {} });
         for (const key of SETTINGS_KEYS) {
             const value = yield figma.clientStorage.getAsync(key);
             if (value !== undefined && value !== null) {
                 settings[key] = value;
             }
         }
+        const prompts = yield figma.clientStorage.getAsync(PROMPTS_STORAGE_KEY);
+        if (prompts && typeof prompts === 'object') {
+            settings.prompts = prompts;
+        }
+        else {
+            // Carry a legacy global prompt over to every built-in field, which is how it behaved.
+            // It is deleted on the next save.
+            const legacy = yield figma.clientStorage.getAsync(LEGACY_PROMPT_STORAGE_KEY);
+            if (typeof legacy === 'string' && legacy.trim() !== '') {
+                for (const field of Object.keys(BUILT_IN_FIELD_CONFIGS)) {
+                    settings.prompts[field] = legacy;
+                }
+            }
+        }
+        settings.lint = normalizeLintSettings(yield figma.clientStorage.getAsync(LINT_STORAGE_KEY));
+        settings.concurrency = normalizeConcurrency(yield figma.clientStorage.getAsync(CONCURRENCY_STORAGE_KEY));
+        settings.imageExport = normalizeImageExportOptions(yield figma.clientStorage.getAsync(IMAGE_EXPORT_STORAGE_KEY));
         return settings;
     });
 }
+/**
+ * Clamp the request concurrency to 1–MAX_CONCURRENCY, defaulting when unset or invalid.
+ */
+function normalizeConcurrency(value) {
+    const n = Math.floor(Number(value));
+    if (!isFinite(n) || n < 1)
+        return DEFAULT_CONCURRENCY;
+    return Math.min(n, MAX_CONCURRENCY);
+}
+/**
+ * Fill in defaults for missing or invalid export options, clamping sizes and quality.
+ */
+function normalizeImageExportOptions(value) {
+    const raw = value && typeof value === 'object' ? value : {};
+    const clamp = (n, min, max, fallback) => {
+        const v = Math.floor(Number(n));
+        return isFinite(v) && v > 0 ? Math.min(Math.max(v, min), max) : fallback;
+    };
+    return {
+        format: raw.format === 'JPG' ? 'JPG' : 'PNG',
+        quality: clamp(raw.quality, 1, 100, DEFAULT_IMAGE_EXPORT_OPTIONS.quality),
+        maxDimension: clamp(raw.maxDimension, MIN_EXPORT_DIMENSION, MAX_UPLOAD_DIMENSION, DEFAULT_IMAGE_EXPORT_OPTIONS.maxDimension),
+        smallModelMaxDimension: clamp(raw.smallModelMaxDimension, MIN_EXPORT_DIMENSION, MAX_UPLOAD_DIMENSION, DEFAULT_IMAGE_EXPORT_OPTIONS.smallModelMaxDimension),
+    };
+}
 /**
  * Save all settings to clientStorage.
  */
@@ -152,127 +772,612 @@ function saveSettings(settings) {
         for (const key of SETTINGS_KEYS) {
             yield figma.clientStorage.setAsync(key, settings[key]);
         }
+        yield figma.clientStorage.setAsync(PROMPTS_STORAGE_KEY, settings.prompts || {});
+        yield figma.clientStorage.deleteAsync(LEGACY_PROMPT_STORAGE_KEY);
+        yield figma.clientStorage.setAsync(LINT_STORAGE_KEY, normalizeLintSettings(settings.lint));
+        yield figma.clientStorage.setAsync(CONCURRENCY_STORAGE_KEY, normalizeConcurrency(settings.concurrency));
+        yield figma.clientStorage.setAsync(IMAGE_EXPORT_STORAGE_KEY, normalizeImageExportOptions(settings.imageExport));
     });
 }
 // ============================================================================
-// Annotation Categories
+// Custom Fields
 // ============================================================================
 /**
- * Find or create an annotation category for the given field.
- * Caches the category ID for the session to avoid repeated lookups.
+ * All field IDs, built-in first, in the order custom fields were defined.
  */
-function ensureCategoryForField(field) {
-    return __awaiter(this, void 0, void 0, function* () {
-        // figma.annotations may be undefined on older Figma versions
-        if (!figma.annotations) {
-            return undefined;
-        }
-        // Check cache first
-        const cached = categoryIdCache.get(field);
-        if (cached) {
-            // Verify it still exists (user might have deleted it)
-            const existing = yield figma.annotations.getAnnotationCategoryByIdAsync(cached);
-            if (existing) {
-                return cached;
-            }
-            categoryIdCache.delete(field);
-        }
-        const config = FIELD_CONFIGS[field];
-        // Search existing categories by label
-        const categories = yield figma.annotations.getAnnotationCategoriesAsync();
-        for (const cat of categories) {
-            if (cat.label === config.categoryLabel) {
-                categoryIdCache.set(field, cat.id);
-                return cat.id;
-            }
-        }
-        // Create new category
-        const newCategory = yield figma.annotations.addAnnotationCategoryAsync({
-            label: config.categoryLabel,
-            color: config.categoryColor,
-        });
-        categoryIdCache.set(field, newCategory.id);
-        return newCategory.id;
-    });
+function getAllFields() {
+    return Object.keys(fieldConfigs);
 }
 /**
- * Ensure categories exist for all requested fields.
- * Returns a map of field → categoryId (value is undefined when annotations API is unavailable).
+ * Return the field whose annotation category has the given label, if any.
+ * "Alt Text (de)" resolves to the alt_text@de language variant.
  */
-function ensureCategories(fields) {
-    return __awaiter(this, void 0, void 0, function* () {
-        const result = new Map();
-        for (const field of fields) {
-            const id = yield ensureCategoryForField(field);
-            result.set(field, id);
+function findFieldByCategoryLabel(label) {
+    for (const field of getAllFields()) {
+        if (fieldConfigs[field].categoryLabel === label)
+            return field;
+    }
+    const match = label.match(/^(.+) \(([^()]+)\)$/);
+    if (match) {
+        const base = findFieldByCategoryLabel(match[1]);
+        if (base && !base.includes('@') && languageForCode(match[2])) {
+            return `${base}@${languageCode(languageForCode(match[2]))}`;
         }
-        return result;
-    });
+    }
+    return null;
+}
+/**
+ * Config for a field or language variant, or null if the field is unknown (e.g. a custom
+ * field removed in Settings). Variants share the base field's role, prompt and color,
+ * and get their own category and prefix tagged with the language code.
+ */
+function findFieldConfig(field) {
+    if (fieldConfigs[field])
+        return fieldConfigs[field];
+    const at = field.indexOf('@');
+    if (at === -1)
+        return null;
+    const base = fieldConfigs[field.slice(0, at)];
+    const code = field.slice(at + 1);
+    const language = languageForCode(code);
+    if (!base || !language)
+        return null;
+    return Object.assign(Object.assign({}, base), { categoryLabel: `${base.categoryLabel} (${code})`, annotationPrefix: `${base.annotationPrefix} (${code})`, language });
+}
+function getFieldConfig(field) {
+    const config = findFieldConfig(field);
+    if (!config) {
+        throw new Error(`Unknown field "${field}".`);
+    }
+    return config;
+}
+/**
+ * The base field of a language variant (alt_text@de → alt_text).
+ */
+function baseFieldOf(field) {
+    const at = field.indexOf('@');
+    return at === -1 ? field : field.slice(0, at);
 }
 // ============================================================================
-// Visionati API
+// Languages
 // ============================================================================
 /**
- * Send images to the Visionati API as a batched request with a specific role.
- * Returns the response_uri for async polling, or results if sync.
+ * Language tag for a language name, falling back to the name itself.
  */
-function callVisionatiApi(apiKey, base64Images, fileNames, settings, role) {
-    return __awaiter(this, void 0, void 0, function* () {
-        const body = {
-            file: base64Images,
-            file_name: fileNames,
-            role: role,
-            backend: [settings.backend],
-            language: settings.language,
-            feature: ['descriptions'],
-        };
-        // Custom prompt overrides role
-        if (settings.prompt && settings.prompt.trim() !== '') {
-            body.prompt = settings.prompt.trim();
-        }
-        const response = yield fetch(`${API_BASE_URL}/api/fetch`, {
-            method: 'POST',
-            headers: {
-                'X-API-Key': `Token ${apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(body),
-        });
-        if (!response.ok) {
-            const text = yield response.text();
-            let errorMessage;
-            try {
-                const errorJson = JSON.parse(text);
-                errorMessage = errorJson.error || errorJson.message || `API error (${response.status})`;
-            }
-            catch (_a) {
-                errorMessage = `API error (${response.status}): ${text.substring(0, 200)}`;
-            }
-            throw new Error(errorMessage);
-        }
-        return yield response.json();
-    });
+function languageCode(language) {
+    return LANGUAGE_CODES[language] || language;
 }
 /**
- * Poll a single response_uri until results are ready.
+ * Language name for a tag, matched case-insensitively (import files may lower-case it).
  */
-function pollSingleUri(apiKey, responseUri, fieldLabel, onProgress) {
-    return __awaiter(this, void 0, void 0, function* () {
-        for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-            if (attempt > 0) {
-                yield sleep(POLL_INTERVAL_MS);
-            }
-            onProgress(attempt + 1);
-            const response = yield fetch(responseUri, {
-                method: 'GET',
-                headers: {
-                    'X-API-Key': `Token ${apiKey}`,
-                },
-            });
-            if (!response.ok) {
-                const text = yield response.text();
-                throw new Error(`Polling error for ${fieldLabel} (${response.status}): ${text.substring(0, 200)}`);
-            }
+function languageForCode(code) {
+    const wanted = code.toLowerCase().replace(/_/g, '-');
+    for (const name of Object.keys(LANGUAGE_CODES)) {
+        if (LANGUAGE_CODES[name].toLowerCase() === wanted || name.toLowerCase() === wanted)
+            return name;
+    }
+    return null;
+}
+/**
+ * The field to request for a language: the field itself for the Settings language,
+ * otherwise its language variant (alt_text@de).
+ */
+function localizedField(field, language, settings) {
+    return language === settings.language ? field : `${field}@${languageCode(language)}`;
+}
+/**
+ * Canonical ID for a field named in an import file: known fields as-is, and language
+ * variants with their tag in canonical case (alt_text@zh_hans → alt_text@zh-Hans).
+ */
+function canonicalFieldId(field) {
+    if (fieldConfigs[field])
+        return field;
+    const at = field.indexOf('@');
+    if (at === -1)
+        return null;
+    const language = languageForCode(field.slice(at + 1));
+    const base = field.slice(0, at);
+    return language && fieldConfigs[base] ? `${base}@${languageCode(language)}` : null;
+}
+/**
+ * The language a field is generated in.
+ */
+function fieldLanguage(field, settings) {
+    return getFieldConfig(field).language || settings.language;
+}
+/**
+ * The bold `**PREFIX**` for annotations in a category. Custom fields may use a prefix
+ * that differs from their label; other categories fall back to the upper-cased label.
+ */
+function annotationPrefixForLabel(label) {
+    const field = findFieldByCategoryLabel(label);
+    return `**${field ? getFieldConfig(field).annotationPrefix : label.toUpperCase()}**`;
+}
+/**
+ * The prompt template for a field, or '' to use its role. Custom fields carry their
+ * own prompt; built-in fields use the per-field prompt from Settings.
+ */
+function fieldPrompt(field, settings) {
+    const base = baseFieldOf(field);
+    const config = fieldConfigs[base];
+    if (config && config.custom)
+        return (config.prompt || '').trim();
+    return ((settings.prompts || {})[base] || '').trim();
+}
+/**
+ * The filled-in prompt for one field and image; {language} is the field's language.
+ * In context mode the image's context is appended.
+ */
+function resolveFieldPrompt(field, settings, vars) {
+    const prompt = fillPromptPlaceholders(fieldPrompt(field, settings), Object.assign(Object.assign({}, vars), { language: fieldLanguage(field, settings) }));
+    if (!vars.context)
+        return prompt;
+    const instruction = prompt || CONTEXT_ROLE_PROMPTS[getFieldConfig(field).role] || CONTEXT_DEFAULT_PROMPT;
+    return `${instruction}\n\nContext from the design around the image. Use it only where it matches what the image shows:\n${vars.context}`;
+}
+function promptNeedsPerImage(template) {
+    return PER_IMAGE_PLACEHOLDER_PATTERN.test(template);
+}
+/**
+ * Replace {layerName}, {frameName} and {language} in a prompt template.
+ */
+function fillPromptPlaceholders(template, vars) {
+    return template.replace(PROMPT_PLACEHOLDER_PATTERN, (_match, key) => vars[key]);
+}
+/**
+ * Placeholder values for one image. The frame is the top-level frame containing the
+ * node, or empty when the node itself sits directly on the page.
+ */
+function getPromptVariables(node, settings) {
+    const frameName = node.parent && node.parent.type !== 'PAGE' ? getTopLevelFrameName(node) : '';
+    return { layerName: node.name, frameName, language: settings.language };
+}
+/**
+ * Describe where an image sits: its layer name, the frames and sections containing it,
+ * and nearby text. Text comes from sibling layers (including text nested in them),
+ * then from text directly inside each containing frame, nearest first. The result is
+ * cut to `limit` characters.
+ */
+function collectImageContext(node, limit) {
+    const containers = [];
+    const texts = [];
+    const seen = new Set();
+    const addText = (text) => {
+        if (!text.visible)
+            return;
+        const value = text.characters.replace(/\s+/g, ' ').trim();
+        if (value && !seen.has(value)) {
+            seen.add(value);
+            texts.push(value);
+        }
+    };
+    let child = node;
+    let parent = node.parent;
+    while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+        const siblingsLevel = child === node;
+        for (const sibling of parent.children) {
+            if (sibling === child || !sibling.visible)
+                continue;
+            if (sibling.type === 'TEXT') {
+                addText(sibling);
+            }
+            else if (siblingsLevel && 'findAllWithCriteria' in sibling) {
+                for (const text of sibling.findAllWithCriteria({ types: ['TEXT'] }))
+                    addText(text);
+            }
+        }
+        if (CONTEXT_CONTAINER_TYPES.includes(parent.type))
+            containers.unshift(parent.name);
+        child = parent;
+        parent = parent.parent;
+    }
+    const lines = [`Layer: ${node.name}`];
+    if (containers.length > 0)
+        lines.push(`Inside: ${containers.join(' > ')}`);
+    if (texts.length > 0)
+        lines.push(`Nearby text: ${texts.join(' | ')}`);
+    const context = lines.join('\n');
+    return context.length > limit ? context.slice(0, Math.max(0, limit - 1)).trimEnd() + '…' : context;
+}
+function slugifyFieldLabel(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'field';
+}
+/**
+ * Validate custom field definitions from the UI and fill in defaults.
+ * Existing IDs are kept; new fields get a unique ID from their label.
+ * Throws with a user-facing message on an empty or duplicate label.
+ */
+function normalizeCustomFields(defs) {
+    const builtInLabels = Object.values(BUILT_IN_FIELD_CONFIGS).map(c => c.categoryLabel.toLowerCase());
+    const usedIds = new Set([...Object.keys(BUILT_IN_FIELD_CONFIGS), ...RESERVED_FIELD_IDS]);
+    const usedLabels = new Set(builtInLabels);
+    const result = [];
+    for (const def of defs) {
+        const label = (def.label || '').trim();
+        if (!label) {
+            throw new Error('Custom fields need a label.');
+        }
+        if (usedLabels.has(label.toLowerCase())) {
+            throw new Error(`A field named "${label}" already exists.`);
+        }
+        usedLabels.add(label.toLowerCase());
+        // IDs are slugs, so they never contain the @ of a language variant
+        let id = def.id && /^[a-z0-9_]+$/.test(def.id) && !usedIds.has(def.id) ? def.id : slugifyFieldLabel(label);
+        if (usedIds.has(id)) {
+            let n = 2;
+            while (usedIds.has(`${id}_${n}`))
+                n++;
+            id = `${id}_${n}`;
+        }
+        usedIds.add(id);
+        // The prefix is written as **PREFIX**, so asterisks and line breaks would break parsing
+        const prefix = (def.prefix || label).replace(/[*\r\n]+/g, ' ').trim().toUpperCase();
+        result.push({
+            id,
+            label,
+            role: (def.role || '').trim() || 'general',
+            prompt: (def.prompt || '').trim(),
+            color: def.color && CATEGORY_COLORS.includes(def.color) ? def.color : 'orange',
+            prefix: prefix || label.toUpperCase(),
+        });
+    }
+    return result;
+}
+/**
+ * Load custom field definitions from clientStorage. Invalid stored data is ignored.
+ */
+function loadCustomFields() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const stored = yield figma.clientStorage.getAsync(CUSTOM_FIELDS_STORAGE_KEY);
+            if (Array.isArray(stored)) {
+                return normalizeCustomFields(stored);
+            }
+        }
+        catch (err) {
+            console.warn('[Visionati] Failed to load custom fields:', err);
+        }
+        return [];
+    });
+}
+function saveCustomFields(defs) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield figma.clientStorage.setAsync(CUSTOM_FIELDS_STORAGE_KEY, defs);
+    });
+}
+/**
+ * Rebuild fieldConfigs from the built-in fields plus the given custom fields.
+ */
+function registerCustomFields(defs) {
+    const configs = Object.assign({}, BUILT_IN_FIELD_CONFIGS);
+    for (const def of defs) {
+        configs[def.id] = {
+            role: def.role,
+            categoryLabel: def.label,
+            categoryColor: def.color,
+            annotationPrefix: def.prefix,
+            prompt: def.prompt || undefined,
+            custom: true,
+        };
+    }
+    fieldConfigs = configs;
+    // A renamed field maps to a different category
+    categoryIdCache.clear();
+}
+/**
+ * Send every field (built-in and custom) to the UI for the pills, badges and Settings list.
+ */
+function sendFieldConfigs() {
+    const fields = getAllFields().map(id => {
+        const config = fieldConfigs[id];
+        return {
+            id,
+            label: config.categoryLabel,
+            color: config.categoryColor,
+            role: config.role,
+            prompt: config.prompt || '',
+            prefix: config.annotationPrefix,
+            custom: !!config.custom,
+        };
+    });
+    sendToUI({ type: 'field-configs', fields });
+}
+// ============================================================================
+// Result Cache
+// ============================================================================
+/**
+ * Build the cache key for one image × field. The image key is the image hash used
+ * to group duplicate layers (the original's hash in raw mode); the prompt is the filled one.
+ */
+function resultCacheKey(imageKey, settings, field, prompt) {
+    return [imageKey, settings.backend, getFieldConfig(field).role, fieldLanguage(field, settings), prompt].join('|');
+}
+/**
+ * Load the result cache from clientStorage. A missing or unreadable cache is treated as empty.
+ */
+function loadResultCache() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const stored = yield figma.clientStorage.getAsync(RESULT_CACHE_STORAGE_KEY);
+            if (stored && typeof stored === 'object') {
+                return stored;
+            }
+        }
+        catch (err) {
+            console.warn('[Visionati] Failed to load result cache:', err);
+        }
+        return {};
+    });
+}
+/**
+ * Save the result cache, evicting the least recently used entries beyond RESULT_CACHE_MAX_ENTRIES.
+ */
+function saveResultCache(cache) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const keys = Object.keys(cache);
+        if (keys.length > RESULT_CACHE_MAX_ENTRIES) {
+            keys.sort((a, b) => cache[a].usedAt - cache[b].usedAt);
+            for (const key of keys.slice(0, keys.length - RESULT_CACHE_MAX_ENTRIES)) {
+                delete cache[key];
+            }
+        }
+        yield figma.clientStorage.setAsync(RESULT_CACHE_STORAGE_KEY, cache);
+    });
+}
+/**
+ * Send the number of cached results to the UI for the Settings tab.
+ */
+function sendCacheInfo() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const cache = yield loadResultCache();
+        sendToUI({ type: 'cache-info', entries: Object.keys(cache).length });
+    });
+}
+// ============================================================================
+// Annotation Categories
+// ============================================================================
+/**
+ * Find or create an annotation category for the given field.
+ * Caches the category ID for the session to avoid repeated lookups.
+ */
+function ensureCategoryForField(field) {
+    return __awaiter(this, void 0, void 0, function* () {
+        // figma.annotations may be undefined on older Figma versions
+        if (!figma.annotations) {
+            return undefined;
+        }
+        // Check cache first
+        const cached = categoryIdCache.get(field);
+        if (cached) {
+            // Verify it still exists (user might have deleted it)
+            const existing = yield figma.annotations.getAnnotationCategoryByIdAsync(cached);
+            if (existing) {
+                return cached;
+            }
+            categoryIdCache.delete(field);
+        }
+        const config = getFieldConfig(field);
+        // Search existing categories by label
+        const categories = yield figma.annotations.getAnnotationCategoriesAsync();
+        for (const cat of categories) {
+            if (cat.label === config.categoryLabel) {
+                categoryIdCache.set(field, cat.id);
+                return cat.id;
+            }
+        }
+        // Create new category
+        const newCategory = yield figma.annotations.addAnnotationCategoryAsync({
+            label: config.categoryLabel,
+            color: config.categoryColor,
+        });
+        categoryIdCache.set(field, newCategory.id);
+        return newCategory.id;
+    });
+}
+/**
+ * Look up the existing category ID for every field without creating missing ones.
+ * Used when reading annotations, where creating categories would be a side effect.
+ */
+function findCategoryIds() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const result = new Map();
+        if (!figma.annotations) {
+            return result;
+        }
+        const categories = yield figma.annotations.getAnnotationCategoriesAsync();
+        for (const field of getAllFields()) {
+            const cat = categories.find(c => c.label === getFieldConfig(field).categoryLabel);
+            result.set(field, cat ? cat.id : undefined);
+        }
+        return result;
+    });
+}
+/**
+ * Ensure categories exist for all requested fields.
+ * Returns a map of field → categoryId (value is undefined when annotations API is unavailable).
+ */
+function ensureCategories(fields) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const result = new Map();
+        for (const field of fields) {
+            // Unknown fields (e.g. removed in Settings) are rejected when writing
+            if (!findFieldConfig(field))
+                continue;
+            const id = yield ensureCategoryForField(field);
+            result.set(field, id);
+        }
+        return result;
+    });
+}
+// ============================================================================
+// Visionati API
+// ============================================================================
+/**
+ * Rate limits (429), timeouts (408) and server errors (5xx) are usually transient.
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+/**
+ * Read the Retry-After header, given in seconds or as an HTTP date.
+ * Returns the wait in milliseconds, or null when absent or unparseable.
+ */
+function getRetryAfterMs(response) {
+    const headers = response.headersObject || {};
+    const key = Object.keys(headers).find(k => k.toLowerCase() === 'retry-after');
+    if (!key)
+        return null;
+    const value = headers[key].trim();
+    if (/^\d+$/.test(value))
+        return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+/**
+ * fetch() with automatic retries for network errors and retryable statuses.
+ * Waits for Retry-After when the server sends it, otherwise backs off
+ * exponentially (1s, 2s, 4s, with jitter). After MAX_RETRIES the last response
+ * is returned (or the network error thrown) for the caller to report.
+ * A POST is not resent after a network error: it may have reached the server,
+ * which would queue (and charge) it again.
+ * With a scheduler (polls), each attempt takes its own slot and the waits hold
+ * none. Submissions call this inside their slot, which keeps the chunk's images
+ * in memory, so their waits hold it.
+ * Throws GenerationCancelledError if the run is cancelled while waiting.
+ */
+function fetchWithRetry(url_1, init_1, label_1, run_1, schedule_1) {
+    return __awaiter(this, arguments, void 0, function* (url, init, label, run, schedule, urgent = false) {
+        for (let attempt = 0;; attempt++) {
+            let response = null;
+            let networkError = null;
+            try {
+                response = yield (schedule ? schedule(() => fetch(url, init), urgent) : fetch(url, init));
+            }
+            catch (err) {
+                networkError = err;
+            }
+            if (response && (response.ok || !isRetryableStatus(response.status)))
+                return response;
+            if (!response && init.method === 'POST')
+                throw networkError;
+            if (attempt >= MAX_RETRIES) {
+                if (response)
+                    return response;
+                throw networkError;
+            }
+            const retryAfter = response ? getRetryAfterMs(response) : null;
+            const backoff = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+            const delay = Math.min(retryAfter !== null ? retryAfter : backoff, MAX_RETRY_DELAY_MS);
+            const reason = !response
+                ? 'network error'
+                : response.status === 429 ? 'rate limited' : `server error ${response.status}`;
+            if (DEBUG)
+                console.log(`[Visionati] ${label}: ${reason}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            sendToUI({
+                type: 'status',
+                message: `${label}: ${reason}. Retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${MAX_RETRIES})...`,
+            });
+            yield sleep(delay);
+            if (run)
+                throwIfCancelled(run);
+        }
+    });
+}
+/**
+ * Create a scheduler that runs at most `limit` tasks at a time. Tasks wait in
+ * FIFO order; urgent tasks (polls) go to the front, so results keep coming back
+ * while submissions are still queued.
+ */
+function createRequestScheduler(limit) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        while (active < limit && queue.length > 0) {
+            active++;
+            queue.shift()();
+        }
+    };
+    return (task, urgent = false) => new Promise((resolve, reject) => {
+        const start = () => {
+            const done = () => {
+                active--;
+                next();
+            };
+            Promise.resolve().then(task).then(value => { done(); resolve(value); }, err => { done(); reject(err); });
+        };
+        if (urgent)
+            queue.unshift(start);
+        else
+            queue.push(start);
+        next();
+    });
+}
+/**
+ * Send images to the Visionati API as a batched request with a specific role.
+ * Returns the response_uri for async polling, or results if sync.
+ * Transient failures are retried (see fetchWithRetry).
+ */
+function callVisionatiApi(apiKey_1, base64Images_1, fileNames_1, settings_1, role_1, prompt_1, language_1) {
+    return __awaiter(this, arguments, void 0, function* (apiKey, base64Images, fileNames, settings, role, prompt, language, backends = [settings.backend], label = 'Request', run) {
+        const body = {
+            file: base64Images,
+            file_name: fileNames,
+            role: role,
+            backend: backends,
+            language: language,
+            feature: ['descriptions'],
+        };
+        // Custom prompt overrides role
+        if (prompt) {
+            body.prompt = prompt;
+        }
+        const response = yield fetchWithRetry(`${API_BASE_URL}/api/fetch`, {
+            method: 'POST',
+            headers: {
+                'X-API-Key': `Token ${apiKey}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        }, label, run);
+        if (!response.ok) {
+            const text = yield response.text();
+            let errorMessage;
+            try {
+                const errorJson = JSON.parse(text);
+                errorMessage = errorJson.error || errorJson.message || `API error (${response.status})`;
+            }
+            catch (_a) {
+                errorMessage = `API error (${response.status}): ${text.substring(0, 200)}`;
+            }
+            throw new Error(errorMessage);
+        }
+        return yield response.json();
+    });
+}
+/**
+ * Poll a single response_uri until results are ready. Each GET takes an urgent
+ * slot from the scheduler; a failed GET is retried (see fetchWithRetry) without
+ * using up a poll attempt or holding a slot while it waits.
+ * Throws GenerationCancelledError if the run is cancelled between attempts.
+ */
+function pollSingleUri(apiKey, responseUri, fieldLabel, run, schedule) {
+    return __awaiter(this, void 0, void 0, function* () {
+        for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+            if (attempt > 0) {
+                yield sleep(POLL_INTERVAL_MS);
+            }
+            // Abandon the poll once the run is cancelled
+            throwIfCancelled(run);
+            const response = yield fetchWithRetry(responseUri, {
+                method: 'GET',
+                headers: {
+                    'X-API-Key': `Token ${apiKey}`,
+                },
+            }, fieldLabel, run, schedule, true);
+            if (!response.ok) {
+                const text = yield response.text();
+                throw new Error(`Polling error for ${fieldLabel} (${response.status}): ${text.substring(0, 200)}`);
+            }
             const data = yield response.json();
             if (DEBUG)
                 console.log(`[Visionati] Poll ${fieldLabel} attempt ${attempt + 1}: status="${data.status}", has all=${!!data.all}, has response_uri=${!!data.response_uri}`);
@@ -310,138 +1415,188 @@ function pollSingleUri(apiKey, responseUri, fieldLabel, onProgress) {
     });
 }
 /**
- * Submit API calls for multiple fields in parallel, chunking images into
- * batches of BATCH_SIZE per call. All field×chunk combinations are submitted
- * in parallel, polled concurrently, and results merged back per field.
+ * Submit API calls for multiple fields, chunking images into batches of up to
+ * BATCH_SIZE images and MAX_BATCH_BYTES (estimated, base64) per call, poll each call,
+ * and merge results back per field.
+ *
+ * Submissions and polls go through a scheduler that runs at most
+ * settings.concurrency requests at a time. An image is exported only when the
+ * first chunk that sends it starts, shared with the chunks of the other fields,
+ * and dropped once the last of them has been submitted, so a large scan never
+ * holds every image in memory. Chunks are ordered by their first image so the
+ * fields of an image are sent close together.
+ *
+ * For 32 small images × 3 fields with BATCH_SIZE=10:
+ *   4 batches × 3 fields = 12 API calls, 4 at a time by default.
+ *
+ * When fieldNodeIds is given, each field only sends the images whose file name
+ * (node ID) is in that field's set, so fields can be requested per node.
  *
- * For 32 images × 3 fields with BATCH_SIZE=10:
- *   4 batches × 3 fields = 12 API calls, all in parallel.
+ * When the run is cancelled, no further calls are submitted, pending polls are
+ * abandoned, and only the responses that already came back are returned.
+ *
+ * Each chunk that still fails after retries is reported in `errors` and its
+ * images in `failed`, so they can be retried without redoing the rest.
  */
-function submitAndPollAllFields(apiKey, base64Images, fileNames, settings, fields) {
-    return __awaiter(this, void 0, void 0, function* () {
+function submitAndPollAllFields(apiKey_1, fileNames_1, images_1, settings_1, fields_1, run_1, fieldNodeIds_1, promptVars_1) {
+    return __awaiter(this, arguments, void 0, function* (apiKey, fileNames, images, settings, fields, run, fieldNodeIds, promptVars, backends = [settings.backend]) {
         const responses = new Map();
         const errors = [];
-        // Chunk images into batches
-        const chunks = [];
-        for (let i = 0; i < base64Images.length; i += BATCH_SIZE) {
-            chunks.push({
-                images: base64Images.slice(i, i + BATCH_SIZE),
-                names: fileNames.slice(i, i + BATCH_SIZE),
-            });
+        const failed = [];
+        const varsFor = (name) => (promptVars && promptVars.get(name)) || { layerName: '', frameName: '', language: settings.language };
+        // Chunk each field's images into batches. A prompt with per-image placeholders or
+        // context is filled for each image, so those fields send one image per request.
+        const fieldChunks = new Map();
+        for (const field of fields) {
+            const allowed = fieldNodeIds ? fieldNodeIds.get(field) : undefined;
+            const names = fileNames.filter(name => !allowed || allowed.has(name));
+            const template = fieldPrompt(field, settings);
+            const perImage = promptNeedsPerImage(template) || names.some(name => !!varsFor(name).context);
+            const batches = chunkByBytes(names, name => images.estimateBytes(name), perImage ? 1 : BATCH_SIZE);
+            fieldChunks.set(field, batches.map((batch, chunkIndex) => ({
+                field,
+                chunkIndex,
+                names: batch,
+                prompt: resolveFieldPrompt(field, settings, varsFor(batch[0])),
+            })));
         }
-        const totalImages = base64Images.length;
-        const fieldLabels = fields.map(f => FIELD_CONFIGS[f].categoryLabel).join(', ');
+        const chunksFor = (field) => fieldChunks.get(field) || [];
+        const chunkFailed = (field, chunkIndex, message) => {
+            const label = getFieldConfig(field).categoryLabel;
+            const chunkLabel = chunksFor(field).length > 1 ? ` (batch ${chunkIndex + 1})` : '';
+            errors.push({ field, message: `${label}${chunkLabel}: ${message}` });
+            failed.push({ field, nodeIds: chunksFor(field)[chunkIndex].names });
+        };
+        const position = new Map();
+        fileNames.forEach((name, i) => position.set(name, i));
+        const requests = fields
+            .flatMap(chunksFor)
+            .sort((a, b) => position.get(a.names[0]) - position.get(b.names[0]));
+        // Count the chunks that send each image (fields may send different subsets)
+        const uses = new Map();
+        for (const request of requests) {
+            for (const name of request.names)
+                uses.set(name, (uses.get(name) || 0) + 1);
+        }
+        const totalImages = uses.size;
+        let uploadBytes = 0;
+        for (const request of requests) {
+            for (const name of request.names)
+                uploadBytes += base64Length(images.estimateBytes(name));
+        }
+        const fieldLabels = fields.map(f => getFieldConfig(f).categoryLabel).join(', ');
         sendToUI({
             type: 'status',
-            message: `Processing ${totalImages} image${totalImages !== 1 ? 's' : ''} (${fieldLabels})...`,
+            message: `Processing ${totalImages} image${totalImages !== 1 ? 's' : ''} (${fieldLabels}), about ${formatBytes(uploadBytes)} in ${requests.length} request${requests.length !== 1 ? 's' : ''}...`,
         });
-        const submissions = [];
-        for (const field of fields) {
-            const config = FIELD_CONFIGS[field];
-            for (let ci = 0; ci < chunks.length; ci++) {
-                const chunk = chunks[ci];
-                const promise = callVisionatiApi(apiKey, chunk.images, chunk.names, settings, config.role);
-                submissions.push({ field, chunkIndex: ci, promise });
+        // Exported images, kept until the last chunk that sends them has been submitted
+        const exports = new Map();
+        const unsubmitted = new Map(uses);
+        const loadImage = (name) => {
+            let image = exports.get(name);
+            if (!image) {
+                image = images.load(name);
+                exports.set(name, image);
             }
-        }
-        // Await all submissions, collecting sync results and async polling URIs
-        const needsPolling = [];
+            return image;
+        };
+        const releaseImage = (name) => {
+            const remaining = unsubmitted.get(name) - 1;
+            unsubmitted.set(name, remaining);
+            if (remaining === 0)
+                exports.delete(name);
+        };
+        // Progress is reported per finished chunk; an image is done once all its chunks are
+        const unfinished = new Map(uses);
+        let completedImages = 0;
+        let completedChunks = 0;
+        const chunkFinished = (request) => {
+            completedChunks++;
+            for (const name of request.names) {
+                const remaining = unfinished.get(name) - 1;
+                unfinished.set(name, remaining);
+                if (remaining === 0)
+                    completedImages++;
+            }
+            sendToUI({
+                type: 'progress',
+                current: completedImages,
+                total: totalImages,
+                chunks: completedChunks,
+                totalChunks: requests.length,
+                phase: 'polling',
+            });
+        };
+        const schedule = createRequestScheduler(settings.concurrency);
         const chunkResponses = [];
-        for (const sub of submissions) {
+        let latestCredits;
+        const runChunk = (request) => __awaiter(this, void 0, void 0, function* () {
+            const config = getFieldConfig(request.field);
+            const label = `${config.categoryLabel}${chunksFor(request.field).length > 1 ? ` batch ${request.chunkIndex + 1}` : ''}`;
             try {
-                const response = yield sub.promise;
-                const label = FIELD_CONFIGS[sub.field].categoryLabel;
-                const chunkLabel = chunks.length > 1 ? ` (batch ${sub.chunkIndex + 1})` : '';
+                // Export and submit in one slot, so at most `concurrency` chunks of images are in memory
+                const response = yield schedule(() => __awaiter(this, void 0, void 0, function* () {
+                    try {
+                        throwIfCancelled(run);
+                        const loaded = yield Promise.all(request.names.map(loadImage));
+                        const base64Images = [];
+                        const names = [];
+                        loaded.forEach((image, i) => {
+                            if (image) {
+                                base64Images.push(image);
+                                names.push(request.names[i]);
+                            }
+                        });
+                        // Every image in the chunk failed to export (already reported)
+                        if (base64Images.length === 0)
+                            return null;
+                        return yield callVisionatiApi(apiKey, base64Images, names, settings, config.role, request.prompt, fieldLanguage(request.field, settings), backends, label, run);
+                    }
+                    finally {
+                        request.names.forEach(releaseImage);
+                    }
+                }));
+                if (!response)
+                    return;
                 if (DEBUG)
-                    console.log(`[Visionati] Submission ${label}${chunkLabel}: status="${response.status}", has all=${!!response.all}, has response_uri=${!!response.response_uri}`);
+                    console.log(`[Visionati] Submission ${label}: status="${response.status}", has all=${!!response.all}, has response_uri=${!!response.response_uri}`);
                 if (response.status === 'completed' && response.all && response.all.assets && response.all.assets.length > 0) {
                     // Got sync results immediately
-                    chunkResponses.push({ field: sub.field, chunkIndex: sub.chunkIndex, response });
+                    chunkResponses.push({ field: request.field, response });
                 }
                 else if (response.response_uri) {
                     // Needs async polling
-                    needsPolling.push({ field: sub.field, chunkIndex: sub.chunkIndex, responseUri: response.response_uri });
+                    const polled = yield pollSingleUri(apiKey, response.response_uri, label, run, schedule);
+                    if (polled.credits !== undefined)
+                        latestCredits = polled.credits;
+                    chunkResponses.push({ field: request.field, response: polled });
                 }
                 else if (response.status === 'queued' || response.status === 'processing') {
                     // Async but missing response_uri — shouldn't happen, treat as error
-                    errors.push({ field: sub.field, message: `${label}${chunkLabel}: Async response missing polling URI.` });
+                    chunkFailed(request.field, request.chunkIndex, 'Async response missing polling URI.');
                 }
                 else if (response.error || response.message) {
-                    errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${response.error || response.message}` });
+                    chunkFailed(request.field, request.chunkIndex, `${response.error || response.message}`);
                 }
                 else if (response.all && response.all.errors && response.all.errors.length > 0) {
-                    errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${response.all.errors.join('; ')}` });
+                    chunkFailed(request.field, request.chunkIndex, response.all.errors.join('; '));
                 }
                 else {
-                    errors.push({ field: sub.field, message: `${label}${chunkLabel}: No results returned.` });
+                    chunkFailed(request.field, request.chunkIndex, 'No results returned.');
                 }
             }
             catch (err) {
-                const label = FIELD_CONFIGS[sub.field].categoryLabel;
-                const chunkLabel = chunks.length > 1 ? ` (batch ${sub.chunkIndex + 1})` : '';
-                errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
-            }
-        }
-        // Poll all pending URIs concurrently using allSettled so one failure doesn't kill others
-        let latestCredits;
-        if (needsPolling.length > 0) {
-            // Track progress by unique images completed (not API calls)
-            const completedChunkIndices = new Set();
-            let completedImages = 0;
-            // Count images already done from sync responses
-            for (const cr of chunkResponses) {
-                if (!completedChunkIndices.has(cr.chunkIndex)) {
-                    completedChunkIndices.add(cr.chunkIndex);
-                    completedImages += chunks[cr.chunkIndex].images.length;
-                }
+                // Chunks skipped or polls abandoned after a cancel are not failures
+                if (err instanceof GenerationCancelledError)
+                    return;
+                chunkFailed(request.field, request.chunkIndex, `${(err === null || err === void 0 ? void 0 : err.message) || err}`);
             }
-            sendToUI({
-                type: 'status',
-                message: `Waiting for results (${completedImages}/${totalImages} images)...`,
-            });
-            const pollPromises = needsPolling.map(p => {
-                const label = FIELD_CONFIGS[p.field].categoryLabel;
-                const chunkLabel = chunks.length > 1 ? ` batch ${p.chunkIndex + 1}` : '';
-                return pollSingleUri(apiKey, p.responseUri, `${label}${chunkLabel}`, () => {
-                    // Per-attempt progress: show image-level completion
-                    sendToUI({
-                        type: 'progress',
-                        current: completedImages,
-                        total: totalImages,
-                        phase: 'polling',
-                    });
-                }).then(response => {
-                    if (!completedChunkIndices.has(p.chunkIndex)) {
-                        completedChunkIndices.add(p.chunkIndex);
-                        completedImages += chunks[p.chunkIndex].images.length;
-                    }
-                    sendToUI({
-                        type: 'progress',
-                        current: completedImages,
-                        total: totalImages,
-                        phase: 'polling',
-                    });
-                    return { field: p.field, chunkIndex: p.chunkIndex, response, credits: response.credits };
-                });
-            });
-            const settled = yield Promise.allSettled(pollPromises);
-            for (let i = 0; i < settled.length; i++) {
-                const outcome = settled[i];
-                const field = needsPolling[i].field;
-                const label = FIELD_CONFIGS[field].categoryLabel;
-                const chunkLabel = chunks.length > 1 ? ` (batch ${needsPolling[i].chunkIndex + 1})` : '';
-                if (outcome.status === 'fulfilled' && outcome.value.credits !== undefined) {
-                    latestCredits = outcome.value.credits;
-                }
-                if (outcome.status === 'fulfilled') {
-                    chunkResponses.push(outcome.value);
-                }
-                else {
-                    const reason = outcome.reason;
-                    errors.push({ field, message: `${label}${chunkLabel}: ${(reason === null || reason === void 0 ? void 0 : reason.message) || reason}` });
-                }
+            finally {
+                chunkFinished(request);
             }
-        }
+        });
+        // runChunk never rejects, so one failure doesn't stop the others
+        yield Promise.all(requests.map(runChunk));
         // Merge chunk responses into one response per field
         for (const field of fields) {
             const fieldChunks = chunkResponses.filter(cr => cr.field === field);
@@ -453,137 +1608,797 @@ function submitAndPollAllFields(apiKey, base64Images, fileNames, settings, field
                 if (cr.response.all && cr.response.all.assets) {
                     mergedAssets.push(...cr.response.all.assets);
                 }
-                if (cr.response.all && cr.response.all.errors) {
-                    mergedErrors.push(...cr.response.all.errors);
+                if (cr.response.all && cr.response.all.errors) {
+                    mergedErrors.push(...cr.response.all.errors);
+                }
+            }
+            responses.set(field, {
+                all: {
+                    assets: mergedAssets,
+                    errors: mergedErrors.length > 0 ? mergedErrors : undefined,
+                },
+            });
+        }
+        return { responses, errors, failed, credits: latestCredits };
+    });
+}
+// ============================================================================
+// Annotation Writing
+// ============================================================================
+/**
+ * Sanitize an annotation to ensure it has only `label` OR `labelMarkdown`, not both.
+ * Figma's validation rejects annotations with both set.
+ */
+function sanitizeAnnotation(ann) {
+    const result = {};
+    // Prefer labelMarkdown over label
+    if (ann.labelMarkdown) {
+        result.labelMarkdown = ann.labelMarkdown;
+    }
+    else if (ann.label) {
+        result.label = ann.label;
+    }
+    if (ann.properties)
+        result.properties = ann.properties;
+    if (ann.categoryId)
+        result.categoryId = ann.categoryId;
+    return result;
+}
+/**
+ * Check whether an annotation belongs to the given field, by category ID when
+ * available or by the bold prefix that writeFieldAnnotation uses.
+ */
+function annotationMatchesField(ann, field, categoryId) {
+    if (categoryId && ann.categoryId === categoryId)
+        return true;
+    // A decorative marker stands in for the alt text
+    if (field === 'alt_text' && isDecorativeAnnotation(ann))
+        return true;
+    const annText = ann.labelMarkdown || ann.label || '';
+    return annText.startsWith(`**${getFieldConfig(field).annotationPrefix}**`);
+}
+function isDecorativeAnnotation(ann) {
+    return (ann.labelMarkdown || ann.label || '').startsWith(`**${DECORATIVE_PREFIX}**`);
+}
+/**
+ * Check whether a node is marked decorative, by plugin data or by its annotation.
+ */
+function isNodeDecorative(node) {
+    if (node.getPluginData(DECORATIVE_PLUGIN_DATA_KEY) === 'true')
+        return true;
+    if (!('annotations' in node))
+        return false;
+    const annotations = node.annotations || [];
+    return annotations.some(isDecorativeAnnotation);
+}
+/**
+ * Return the field an annotation belongs to, or null for non-Visionati annotations.
+ */
+function getAnnotationField(ann, categoryIds) {
+    for (const field of getAllFields()) {
+        if (annotationMatchesField(ann, field, categoryIds.get(field)))
+            return field;
+    }
+    // Language variants are recognized by their tagged prefix, e.g. **ALT TEXT (de)**
+    const match = (ann.labelMarkdown || ann.label || '').match(/^\*\*(.+) \(([^()*]+)\)\*\*/);
+    if (match) {
+        for (const field of getAllFields()) {
+            if (fieldConfigs[field].annotationPrefix === match[1]) {
+                return canonicalFieldId(`${field}@${match[2]}`);
+            }
+        }
+    }
+    return null;
+}
+/**
+ * Strip the bold `**PREFIX**` line from an annotation's markdown, leaving the plain text.
+ */
+function stripAnnotationPrefix(text) {
+    return text.replace(/^\*\*[^*\n]+\*\*\n?/, '');
+}
+/**
+ * Return the fields (out of the given ones) that already have an annotation on the node.
+ */
+function getAnnotatedFields(node, fields, categoryIds) {
+    const annotated = new Set();
+    if (!('annotations' in node))
+        return annotated;
+    const annotations = node.annotations || [];
+    for (const field of fields) {
+        const categoryId = categoryIds.get(field);
+        if (annotations.some(a => annotationMatchesField(a, field, categoryId))) {
+            annotated.add(field);
+        }
+    }
+    return annotated;
+}
+/**
+ * Write a single field's annotation to a node, preserving annotations from other fields
+ * and any manually-added annotations.
+ */
+function writeFieldAnnotation(node_1, field_1, text_1, categoryIds_1, settings_1) {
+    return __awaiter(this, arguments, void 0, function* (node, field, text, categoryIds, settings, source = {}, kind) {
+        if (!('annotations' in node)) {
+            throw new Error(`Node "${node.name}" does not support annotations.`);
+        }
+        const categoryId = categoryIds.get(field);
+        const config = getFieldConfig(field);
+        // Read existing annotations and filter out any with the same category or prefix
+        const existing = [...(node.annotations || [])];
+        const preserved = existing
+            .filter((a) => {
+            if (categoryId && a.categoryId === categoryId)
+                return false;
+            // Writing alt text replaces a decorative marker
+            if (field === 'alt_text' && isDecorativeAnnotation(a))
+                return false;
+            // When no category ID available, match by bold prefix text
+            if (!categoryId) {
+                const annText = a.labelMarkdown || a.label || '';
+                if (annText.startsWith(`**${config.annotationPrefix}**`))
+                    return false;
+            }
+            return true;
+        })
+            .map(sanitizeAnnotation);
+        // Create the new annotation (with categoryId when available)
+        const newAnnotation = {
+            labelMarkdown: `**${config.annotationPrefix}**\n${text}`,
+            properties: [{ type: 'fills' }],
+        };
+        if (categoryId) {
+            newAnnotation.categoryId = categoryId;
+        }
+        // Write back with the new annotation appended
+        node.annotations = [...preserved, newAnnotation];
+        if (field === 'alt_text') {
+            node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+        }
+        writeFieldMetadata(node, Object.assign(Object.assign({}, source), { field, description: text }), settings, kind);
+    });
+}
+/**
+ * Write multiple field annotations to a node at once.
+ */
+function writeMultipleFieldAnnotations(node, fields, categoryIds, settings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (!('annotations' in node)) {
+            throw new Error(`Node "${node.name}" does not support annotations.`);
+        }
+        // Collect all category IDs and prefixes we're about to write
+        const writingCategoryIds = new Set();
+        const writingPrefixes = new Set();
+        for (const f of fields) {
+            const catId = categoryIds.get(f.field);
+            if (catId)
+                writingCategoryIds.add(catId);
+            writingPrefixes.add(`**${getFieldConfig(f.field).annotationPrefix}**`);
+        }
+        const writingAltText = fields.some(f => f.field === 'alt_text');
+        if (writingAltText) {
+            writingPrefixes.add(`**${DECORATIVE_PREFIX}**`);
+        }
+        // Read existing annotations and filter out ones we're replacing
+        const existing = [...(node.annotations || [])];
+        const preserved = existing
+            .filter((a) => {
+            if (a.categoryId && writingCategoryIds.has(a.categoryId))
+                return false;
+            // When no category ID on the annotation, match by bold prefix text
+            if (!a.categoryId) {
+                const annText = a.labelMarkdown || a.label || '';
+                for (const prefix of writingPrefixes) {
+                    if (annText.startsWith(prefix))
+                        return false;
+                }
+            }
+            return true;
+        })
+            .map(sanitizeAnnotation);
+        // Build new annotations (with categoryId when available)
+        const newAnnotations = fields.map(f => {
+            const config = getFieldConfig(f.field);
+            const categoryId = categoryIds.get(f.field);
+            const ann = {
+                labelMarkdown: `**${config.annotationPrefix}**\n${f.description}`,
+                properties: [{ type: 'fills' }],
+            };
+            if (categoryId) {
+                ann.categoryId = categoryId;
+            }
+            return ann;
+        });
+        node.annotations = [...preserved, ...newAnnotations];
+        if (writingAltText) {
+            node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+        }
+        for (const f of fields) {
+            writeFieldMetadata(node, f, settings);
+        }
+    });
+}
+/**
+ * Mark a node as decorative: replace its alt text with the decorative marker
+ * annotation and set the decorative plugin data.
+ */
+function writeDecorativeAnnotation(node, categoryIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (!('annotations' in node)) {
+            throw new Error(`Node "${node.name}" does not support annotations.`);
+        }
+        const categoryId = categoryIds.get('alt_text');
+        const existing = [...(node.annotations || [])];
+        const preserved = existing
+            .filter((a) => !annotationMatchesField(a, 'alt_text', categoryId))
+            .map(sanitizeAnnotation);
+        const ann = {
+            labelMarkdown: `**${DECORATIVE_PREFIX}**\n${DECORATIVE_TEXT}`,
+            properties: [{ type: 'fills' }],
+        };
+        if (categoryId) {
+            ann.categoryId = categoryId;
+        }
+        node.annotations = [...preserved, ann];
+        node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, 'true');
+        clearFieldMetadata(node, 'alt_text');
+    });
+}
+/**
+ * Store the machine-readable record of an applied field next to its annotation, and
+ * add the text to the field's version history. Text without a backend is imported
+ * unless a kind is given.
+ */
+function writeFieldMetadata(node, write, settings, kind) {
+    const topPaint = getTopImagePaint(node);
+    const metadata = {
+        field: write.field,
+        text: write.description,
+        backend: write.backend || null,
+        language: fieldLanguage(write.field, settings),
+        promptHash: write.promptHash || null,
+        imageHash: (topPaint && topPaint.imageHash) || null,
+        appliedAt: new Date().toISOString(),
+        appliedBy: figma.currentUser ? figma.currentUser.name : null,
+    };
+    const versionKind = kind || (write.edited ? 'edited' : write.backend ? 'generated' : 'imported');
+    if (versionKind === 'edited')
+        metadata.edited = true;
+    node.setSharedPluginData(SHARED_DATA_NAMESPACE, write.field, JSON.stringify(metadata));
+    appendFieldVersion(node, write.field, {
+        text: write.description,
+        backend: metadata.backend,
+        kind: versionKind,
+        user: metadata.appliedBy,
+        at: metadata.appliedAt,
+    });
+}
+/**
+ * Return a field's versions on a node, oldest first.
+ */
+function readFieldVersions(node, field) {
+    const raw = node.getPluginData(VERSIONS_PLUGIN_DATA_PREFIX + field);
+    if (!raw)
+        return [];
+    try {
+        const versions = JSON.parse(raw);
+        return Array.isArray(versions) ? versions : [];
+    }
+    catch (_a) {
+        return [];
+    }
+}
+/**
+ * Add a version to a field's history on the node, keeping the last MAX_FIELD_VERSIONS.
+ * Writing the same text again adds no version.
+ */
+function appendFieldVersion(node, field, version) {
+    const versions = readFieldVersions(node, field);
+    const last = versions[versions.length - 1];
+    if (last && last.text === version.text)
+        return;
+    versions.push(version);
+    node.setPluginData(VERSIONS_PLUGIN_DATA_PREFIX + field, JSON.stringify(versions.slice(-MAX_FIELD_VERSIONS)));
+}
+function readFieldMetadata(node, field) {
+    const raw = node.getSharedPluginData(SHARED_DATA_NAMESPACE, field);
+    if (!raw)
+        return null;
+    try {
+        return JSON.parse(raw);
+    }
+    catch (_a) {
+        return null;
+    }
+}
+function clearFieldMetadata(node, field) {
+    node.setSharedPluginData(SHARED_DATA_NAMESPACE, field, '');
+}
+/**
+ * Fields whose annotation was applied to a different image than the node shows now,
+ * i.e. the image fill was swapped since. Only known fields that still have an
+ * annotation count.
+ */
+function getStaleFields(node, categoryIds) {
+    const topPaint = getTopImagePaint(node);
+    const currentHash = (topPaint && topPaint.imageHash) || null;
+    const stale = [];
+    for (const field of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+        if (!findFieldConfig(field))
+            continue;
+        const metadata = readFieldMetadata(node, field);
+        if (metadata && metadata.imageHash && metadata.imageHash !== currentHash)
+            stale.push(field);
+    }
+    if (stale.length === 0)
+        return stale;
+    const annotated = getAnnotatedFields(node, stale, categoryIds);
+    return stale.filter(f => annotated.has(f));
+}
+/**
+ * Resolve the IDs of layers linked to a result (same image) to nodes,
+ * skipping any that were deleted since generation.
+ */
+function resolveLinkedNodes(nodeIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const nodes = [];
+        for (const id of nodeIds || []) {
+            const node = yield figma.getNodeByIdAsync(id);
+            if (node)
+                nodes.push(node);
+        }
+        return nodes;
+    });
+}
+/**
+ * The fields of an apply that go to one layer of a group: fields limited to some
+ * layers (FieldWrite.nodeIds) skip the others.
+ */
+function writesForTarget(writes, target) {
+    return writes.filter(w => !w.nodeIds || w.nodeIds.includes(target.id));
+}
+/** Who an apply wrote to, for notifications: '"Hero" and 2 linked layers'. */
+function appliedToText(node, targets) {
+    const linked = targets.filter(t => t !== node).length;
+    const linkedText = linked > 0 ? `${linked} linked layer${linked !== 1 ? 's' : ''}` : '';
+    if (!targets.includes(node))
+        return linkedText;
+    return `"${node.name}"${linkedText ? ` and ${linkedText}` : ''}`;
+}
+/**
+ * Set relaunch data on a node so users can re-run the plugin.
+ */
+function setRelaunchOnNode(node) {
+    if ('setRelaunchData' in node) {
+        node.setRelaunchData({ open: '' });
+    }
+}
+// ============================================================================
+// Annotation History
+// ============================================================================
+/**
+ * Key an annotation for the history log: its field, or its category and text for
+ * annotations that are not a Visionati field.
+ */
+function historyKey(ann, categoryIds) {
+    return getAnnotationField(ann, categoryIds) || `other:${ann.categoryId || ''}:${annotationText(ann)}`;
+}
+/**
+ * The text of an annotation without its bold prefix.
+ */
+function annotationText(ann) {
+    return stripAnnotationPrefix(ann.labelMarkdown || ann.label || '');
+}
+function snapshotAnnotations(node, categoryIds) {
+    const annotations = new Map();
+    const existing = 'annotations' in node ? node.annotations || [] : [];
+    for (const ann of existing) {
+        annotations.set(historyKey(ann, categoryIds), sanitizeAnnotation(ann));
+    }
+    const metadata = new Map();
+    for (const key of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+        metadata.set(key, node.getSharedPluginData(SHARED_DATA_NAMESPACE, key));
+    }
+    return { annotations, metadata, decorative: node.getPluginData(DECORATIVE_PLUGIN_DATA_KEY) };
+}
+/**
+ * Start a batch of history entries. Category IDs are looked up once, to key the
+ * annotations before and after each write.
+ */
+function startHistoryBatch(action) {
+    return __awaiter(this, void 0, void 0, function* () {
+        return { id: nextHistoryId++, action, categoryIds: yield findCategoryIds() };
+    });
+}
+/**
+ * Run a write on a node and log every annotation it added, changed or removed.
+ * Changes are logged even when the write fails partway.
+ */
+function recordWrite(batch, node, write) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const before = snapshotAnnotations(node, batch.categoryIds);
+        try {
+            yield write();
+        }
+        finally {
+            logAnnotationChanges(batch, node, before);
+        }
+    });
+}
+function logAnnotationChanges(batch, node, before) {
+    const after = snapshotAnnotations(node, batch.categoryIds);
+    const keys = new Set([...before.annotations.keys(), ...after.annotations.keys()]);
+    for (const key of keys) {
+        const oldAnnotation = before.annotations.get(key) || null;
+        const newAnnotation = after.annotations.get(key) || null;
+        const oldText = oldAnnotation ? annotationText(oldAnnotation) : null;
+        const newText = newAnnotation ? annotationText(newAnnotation) : null;
+        if (oldText === newText)
+            continue;
+        const config = findFieldConfig(key);
+        annotationHistory.push({
+            id: nextHistoryId++,
+            batchId: batch.id,
+            action: batch.action,
+            at: Date.now(),
+            nodeId: node.id,
+            nodeName: node.name,
+            key,
+            label: config ? config.categoryLabel : 'Annotation',
+            oldText,
+            newText,
+            reverted: false,
+            previous: { annotation: oldAnnotation, metadata: before.metadata.get(key) || '', decorative: before.decorative },
+        });
+    }
+    trimHistory(batch);
+}
+/**
+ * Drop the oldest batches while the log is over HISTORY_MAX_ENTRIES. Batches go
+ * whole, so "Revert all" never undoes only part of one; the current batch is kept
+ * even when it alone is over the cap.
+ */
+function trimHistory(current) {
+    while (annotationHistory.length > HISTORY_MAX_ENTRIES && annotationHistory[0].batchId !== current.id) {
+        const oldest = annotationHistory[0].batchId;
+        for (let i = annotationHistory.length - 1; i >= 0; i--) {
+            if (annotationHistory[i].batchId === oldest)
+                annotationHistory.splice(i, 1);
+        }
+    }
+}
+/**
+ * Put back what history entries replaced. Entries are reverted newest first, so
+ * several changes to one field unwind in order. An entry whose annotation changed
+ * again since is skipped. The revert is logged as its own batch.
+ */
+function revertHistoryEntries(entryIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const batch = yield startHistoryBatch('Revert');
+        const entries = annotationHistory
+            .filter(e => entryIds.includes(e.id) && !e.reverted)
+            .sort((a, b) => b.id - a.id);
+        let reverted = 0;
+        let skipped = 0;
+        for (const entry of entries) {
+            try {
+                const node = yield figma.getNodeByIdAsync(entry.nodeId);
+                if (!node || !('annotations' in node)) {
+                    skipped++;
+                    continue;
+                }
+                const current = snapshotAnnotations(node, batch.categoryIds).annotations.get(entry.key);
+                if ((current ? annotationText(current) : null) !== entry.newText) {
+                    skipped++;
+                    continue;
                 }
+                yield recordWrite(batch, node, () => {
+                    const existing = [...(node.annotations || [])];
+                    const kept = existing
+                        .filter((a) => historyKey(a, batch.categoryIds) !== entry.key)
+                        .map(sanitizeAnnotation);
+                    node.annotations = entry.previous.annotation ? [...kept, entry.previous.annotation] : kept;
+                    if (findFieldConfig(entry.key)) {
+                        node.setSharedPluginData(SHARED_DATA_NAMESPACE, entry.key, entry.previous.metadata);
+                        const metadata = readFieldMetadata(node, entry.key);
+                        if (entry.oldText !== null) {
+                            appendFieldVersion(node, entry.key, {
+                                text: entry.oldText,
+                                backend: metadata ? metadata.backend : null,
+                                kind: 'restored',
+                                user: figma.currentUser ? figma.currentUser.name : null,
+                                at: new Date().toISOString(),
+                            });
+                        }
+                    }
+                    if (entry.key === 'alt_text') {
+                        node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, entry.previous.decorative);
+                    }
+                });
+                entry.reverted = true;
+                reverted++;
+            }
+            catch (err) {
+                console.warn(`[Visionati] Failed to revert ${entry.label} on "${entry.nodeName}":`, err);
+                skipped++;
             }
-            responses.set(field, {
-                all: {
-                    assets: mergedAssets,
-                    errors: mergedErrors.length > 0 ? mergedErrors : undefined,
-                },
-            });
         }
-        return { responses, errors, credits: latestCredits };
+        return { reverted, skipped };
+    });
+}
+/**
+ * Send the history log to the UI, without the state kept for reverts.
+ */
+function sendHistory() {
+    sendToUI({
+        type: 'history',
+        entries: annotationHistory.map((_a) => {
+            var { previous } = _a, entry = __rest(_a, ["previous"]);
+            return entry;
+        }),
     });
 }
 // ============================================================================
-// Annotation Writing
+// Annotation Export
 // ============================================================================
 /**
- * Sanitize an annotation to ensure it has only `label` OR `labelMarkdown`, not both.
- * Figma's validation rejects annotations with both set.
+ * Names of a node's ancestors below the page, outermost first, e.g. "Home / Hero / Card".
  */
-function sanitizeAnnotation(ann) {
-    const result = {};
-    // Prefer labelMarkdown over label
-    if (ann.labelMarkdown) {
-        result.labelMarkdown = ann.labelMarkdown;
-    }
-    else if (ann.label) {
-        result.label = ann.label;
+function getNodeFramePath(node) {
+    const names = [];
+    let parent = node.parent;
+    while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+        names.unshift(parent.name);
+        parent = parent.parent;
     }
-    if (ann.properties)
-        result.properties = ann.properties;
-    if (ann.categoryId)
-        result.categoryId = ann.categoryId;
-    return result;
+    return names.join(' / ');
 }
 /**
- * Write a single field's annotation to a node, preserving annotations from other fields
- * and any manually-added annotations.
+ * Collect every field annotation on the given pages as rows: built-in and custom
+ * fields and their language variants. Pages are loaded on demand because the
+ * manifest uses dynamic page loading.
  */
-function writeFieldAnnotation(node, field, text, categoryIds) {
+function collectAnnotationRows(pages) {
     return __awaiter(this, void 0, void 0, function* () {
-        if (!('annotations' in node)) {
-            throw new Error(`Node "${node.name}" does not support annotations.`);
-        }
-        const categoryId = categoryIds.get(field);
-        const config = FIELD_CONFIGS[field];
-        // Read existing annotations and filter out any with the same category or prefix
-        const existing = [...(node.annotations || [])];
-        const preserved = existing
-            .filter((a) => {
-            if (categoryId && a.categoryId === categoryId)
-                return false;
-            // When no category ID available, match by bold prefix text
-            if (!categoryId) {
-                const annText = a.labelMarkdown || a.label || '';
-                if (annText.startsWith(`**${config.annotationPrefix}**`))
-                    return false;
+        const categoryIds = yield findCategoryIds();
+        const rows = [];
+        for (const page of pages) {
+            yield page.loadAsync();
+            const nodes = page.findAll(n => 'annotations' in n && (n.annotations || []).length > 0);
+            for (const node of nodes) {
+                const annotations = node.annotations;
+                for (const ann of annotations) {
+                    const field = getAnnotationField(ann, categoryIds);
+                    if (!field)
+                        continue;
+                    rows.push({
+                        nodeId: node.id,
+                        layerName: node.name,
+                        page: page.name,
+                        framePath: getNodeFramePath(node),
+                        field,
+                        text: isDecorativeAnnotation(ann) ? DECORATIVE_EXPORT_TEXT : stripAnnotationPrefix(ann.labelMarkdown || ann.label || ''),
+                    });
+                }
             }
-            return true;
-        })
-            .map(sanitizeAnnotation);
-        // Create the new annotation (with categoryId when available)
-        const newAnnotation = {
-            labelMarkdown: `**${config.annotationPrefix}**\n${text}`,
-            properties: [{ type: 'fills' }],
-        };
-        if (categoryId) {
-            newAnnotation.categoryId = categoryId;
         }
-        // Write back with the new annotation appended
-        node.annotations = [...preserved, newAnnotation];
+        return rows;
     });
 }
+// ============================================================================
+// Annotation Import
+// ============================================================================
 /**
- * Write multiple field annotations to a node at once.
+ * True when imported alt text is the decorative marker written by exports.
+ */
+function isDecorativeImportText(field, text) {
+    return field === 'alt_text' && text.toLowerCase() === DECORATIVE_EXPORT_TEXT;
+}
+/**
+ * Find the nodes an import row refers to. Node IDs resolve anywhere in the document;
+ * layer names (and optional frame paths) are matched on the row's page (loaded on
+ * demand), or on the current page when the row has none.
  */
-function writeMultipleFieldAnnotations(node, fields, categoryIds) {
+function findImportTargets(row) {
     return __awaiter(this, void 0, void 0, function* () {
-        if (!('annotations' in node)) {
-            throw new Error(`Node "${node.name}" does not support annotations.`);
+        if (row.nodeId) {
+            const node = yield figma.getNodeByIdAsync(row.nodeId);
+            return node && 'annotations' in node ? [node] : [];
         }
-        // Collect all category IDs and prefixes we're about to write
-        const writingCategoryIds = new Set();
-        const writingPrefixes = new Set();
-        for (const f of fields) {
-            const catId = categoryIds.get(f.field);
-            if (catId)
-                writingCategoryIds.add(catId);
-            writingPrefixes.add(`**${FIELD_CONFIGS[f.field].annotationPrefix}**`);
-        }
-        // Read existing annotations and filter out ones we're replacing
-        const existing = [...(node.annotations || [])];
-        const preserved = existing
-            .filter((a) => {
-            if (a.categoryId && writingCategoryIds.has(a.categoryId))
-                return false;
-            // When no category ID on the annotation, match by bold prefix text
-            if (!a.categoryId) {
-                const annText = a.labelMarkdown || a.label || '';
-                for (const prefix of writingPrefixes) {
-                    if (annText.startsWith(prefix))
-                        return false;
-                }
+        if (!row.layerName)
+            return [];
+        const page = row.page ? figma.root.children.find(p => p.name === row.page) : figma.currentPage;
+        if (!page)
+            return [];
+        yield page.loadAsync();
+        return page.findAll(n => n.name === row.layerName &&
+            'annotations' in n &&
+            (!row.framePath || getNodeFramePath(n) === row.framePath));
+    });
+}
+/**
+ * Match import rows to nodes and diff each field against the node's current annotation.
+ * Rows that match no node, or more than one node by name, are returned as conflicts.
+ */
+function buildImportPreview(rows) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const categoryIds = yield findCategoryIds();
+        const matches = [];
+        const conflicts = [];
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            const label = row.nodeId || [row.page, row.framePath, row.layerName].filter(Boolean).join(' / ') || `Row ${i + 1}`;
+            const targets = yield findImportTargets(row);
+            if (targets.length === 0) {
+                const reason = row.nodeId ? 'Node ID not found.'
+                    : row.page ? `No layer with this name on page "${row.page}".`
+                        : 'No layer with this name on the current page.';
+                conflicts.push({ rowIndex: i, label, reason });
+                continue;
             }
-            return true;
-        })
-            .map(sanitizeAnnotation);
-        // Build new annotations (with categoryId when available)
-        const newAnnotations = fields.map(f => {
-            const config = FIELD_CONFIGS[f.field];
-            const categoryId = categoryIds.get(f.field);
-            const ann = {
-                labelMarkdown: `**${config.annotationPrefix}**\n${f.description}`,
-                properties: [{ type: 'fills' }],
-            };
-            if (categoryId) {
-                ann.categoryId = categoryId;
+            if (targets.length > 1) {
+                conflicts.push({ rowIndex: i, label, reason: `Matches ${targets.length} layers. Add a node ID or frame path.` });
+                continue;
             }
-            return ann;
-        });
-        node.annotations = [...preserved, ...newAnnotations];
+            const node = targets[0];
+            const existing = node.annotations || [];
+            const changes = [];
+            for (const key of Object.keys(row.fields)) {
+                const field = canonicalFieldId(key);
+                const newText = (row.fields[key] || '').trim();
+                if (!field || !newText)
+                    continue;
+                const current = existing.find(a => annotationMatchesField(a, field, categoryIds.get(field)));
+                const oldText = !current ? ''
+                    : isDecorativeAnnotation(current) ? DECORATIVE_EXPORT_TEXT
+                        : stripAnnotationPrefix(current.labelMarkdown || current.label || '');
+                changes.push({ field, oldText, newText: isDecorativeImportText(field, newText) ? DECORATIVE_EXPORT_TEXT : newText });
+            }
+            if (changes.length === 0) {
+                const labels = getAllFields().map(f => getFieldConfig(f).categoryLabel);
+                const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+                conflicts.push({ rowIndex: i, label, reason: `No ${list} values.` });
+                continue;
+            }
+            matches.push({ rowIndex: i, nodeId: node.id, nodeName: node.name, changes });
+        }
+        return { matches, conflicts };
     });
 }
+// ============================================================================
+// Linting
+// ============================================================================
 /**
- * Set relaunch data on a node so users can re-run the plugin.
+ * Fill in defaults for missing or invalid lint settings (older storage, UI input).
  */
-function setRelaunchOnNode(node) {
-    if ('setRelaunchData' in node) {
-        node.setRelaunchData({ open: '' });
+function normalizeLintSettings(value) {
+    const raw = value && typeof value === 'object' ? value : {};
+    const maxLength = Math.floor(Number(raw.maxLength));
+    const severity = Object.assign({}, DEFAULT_LINT_SETTINGS.severity);
+    for (const rule of Object.keys(severity)) {
+        const level = raw.severity && raw.severity[rule];
+        if (level === 'off' || level === 'warning' || level === 'error')
+            severity[rule] = level;
+    }
+    return {
+        maxLength: maxLength > 0 ? maxLength : DEFAULT_LINT_SETTINGS.maxLength,
+        bannedOpenings: Array.isArray(raw.bannedOpenings)
+            ? raw.bannedOpenings.map((o) => String(o).trim()).filter((o) => o !== '')
+            : [...DEFAULT_LINT_SETTINGS.bannedOpenings],
+        severity,
+        blockApplyAllOnErrors: !!raw.blockApplyAllOnErrors,
+    };
+}
+/**
+ * Text as compared for duplicates: case, spacing and trailing punctuation ignored.
+ */
+function normalizeLintText(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?…]+$/, '').trim();
+}
+/**
+ * True when text is a file name or just repeats the layer name.
+ */
+function looksLikeFilename(text, layerName) {
+    const trimmed = text.trim().replace(/[.!?]+$/, '');
+    if (FILENAME_PATTERN.test(trimmed) || CAMERA_NAME_PATTERN.test(trimmed))
+        return true;
+    const layer = normalizeLintText(layerName);
+    const bare = layer.replace(/\.[a-z0-9]{2,4}$/, '');
+    const normalized = normalizeLintText(text);
+    return layer !== '' && (normalized === layer || normalized === bare);
+}
+/**
+ * Check one field's text. Length and opening rules apply to alt text fields only;
+ * the other fields of the same image are compared for duplicates.
+ */
+function lintFieldText(field, text, layerName, siblings, rules) {
+    var _a;
+    const issues = [];
+    const report = (rule, message) => {
+        const severity = rules.severity[rule];
+        if (severity !== 'off')
+            issues.push({ rule, severity, message });
+    };
+    if (text.trim() === '') {
+        report('empty', 'The text is empty.');
+        return issues;
     }
+    const config = findFieldConfig(field);
+    if (config && config.role === 'alttext') {
+        if (text.length > rules.maxLength) {
+            report('max_length', `${text.length} characters, over the ${rules.maxLength} recommended for alt text.`);
+        }
+        const lower = text.trim().toLowerCase();
+        const opening = rules.bannedOpenings.find(o => {
+            const prefix = o.toLowerCase();
+            return lower.startsWith(prefix) && !/[a-z0-9]/.test(lower.charAt(prefix.length));
+        });
+        if (opening) {
+            const start = text.trim().slice(0, opening.length);
+            report('banned_opening', `Starts with "${start}". Screen readers already announce it is an image.`);
+        }
+    }
+    const normalized = normalizeLintText(text);
+    const duplicate = siblings.find(s => s.field !== field && normalizeLintText(s.description) === normalized);
+    if (duplicate) {
+        const label = ((_a = findFieldConfig(duplicate.field)) === null || _a === void 0 ? void 0 : _a.categoryLabel) || duplicate.field;
+        report('duplicate', `Same text as ${label}.`);
+    }
+    if (looksLikeFilename(text, layerName)) {
+        report('filename', 'Looks like a file or layer name, not a description.');
+    }
+    return issues;
+}
+/**
+ * Lint every field of one image, in order.
+ */
+function lintNodeFields(layerName, fields, rules) {
+    return fields.map(f => lintFieldText(f.field, f.description, layerName, fields, rules));
+}
+// ============================================================================
+// Accessibility Audit
+// ============================================================================
+/**
+ * Name of the top-level frame (direct child of the page) that contains a node.
+ */
+function getTopLevelFrameName(node) {
+    let current = node;
+    while (current.parent && current.parent.type !== 'PAGE' && current.parent.type !== 'DOCUMENT') {
+        current = current.parent;
+    }
+    return current.name;
+}
+/**
+ * Classify an image node's alt text state.
+ */
+function classifyAltText(node, categoryIds) {
+    if (isNodeDecorative(node))
+        return 'decorative';
+    const annotated = getAnnotatedFields(node, ['alt_text'], categoryIds);
+    if (!annotated.has('alt_text'))
+        return 'missing';
+    return getStaleFields(node, categoryIds).includes('alt_text') ? 'stale' : 'has-alt';
+}
+/**
+ * Classify every image on the given pages for the audit report.
+ */
+function buildAuditReport(pages) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const categoryIds = yield findCategoryIds();
+        const entries = [];
+        for (const page of pages) {
+            yield page.loadAsync();
+            for (const node of getImageNodes(page.children)) {
+                entries.push({
+                    nodeId: node.id,
+                    nodeName: node.name,
+                    page: page.name,
+                    frame: getTopLevelFrameName(node),
+                    status: classifyAltText(node, categoryIds),
+                });
+            }
+        }
+        return entries;
+    });
 }
 // ============================================================================
 // Utilities
@@ -594,6 +2409,39 @@ function sendToUI(message) {
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
+/**
+ * Thrown to unwind a generation run that was cancelled from the UI.
+ * Never surfaced to the user as an error.
+ */
+class GenerationCancelledError extends Error {
+    constructor() {
+        super('Generation cancelled.');
+        this.name = 'GenerationCancelledError';
+    }
+}
+/**
+ * FNV-1a hash of a string's UTF-16 code units, as a hex string.
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+/**
+ * Identifies what a field was generated with: the filled prompt, or the role when
+ * the field has no prompt.
+ */
+function promptHash(field, prompt) {
+    return hashString(prompt || `role:${getFieldConfig(field).role}`);
+}
+function throwIfCancelled(run) {
+    if (run.cancelled) {
+        throw new GenerationCancelledError();
+    }
+}
 /**
  * Match an asset name from the API response back to the original node ID we sent.
  * The API transforms file_name values into server temp paths, e.g.:
@@ -622,9 +2470,13 @@ function matchAssetToNodeId(assetName, nodeIds) {
 // ============================================================================
 /**
  * Main flow: find images, export, call API for each field, poll, send results to UI.
+ * The run can be cancelled via a cancel-generate message; whatever results already
+ * came back are still shown.
  */
-function generateForFields(source, fields) {
-    return __awaiter(this, void 0, void 0, function* () {
+function generateForFields(source_1, fields_1) {
+    return __awaiter(this, arguments, void 0, function* (source, fields, options = DEFAULT_GENERATE_OPTIONS) {
+        const run = { cancelled: false };
+        activeRun = run;
         try {
             // Load settings
             const settings = yield loadSettings();
@@ -635,52 +2487,243 @@ function generateForFields(source, fields) {
                 });
                 return;
             }
-            if (fields.length === 0) {
+            // "Retry failed" requests the fields of the failed pairs, already in their languages
+            const retrying = options.retry.length > 0;
+            if (retrying) {
+                fields = [...new Set(options.retry.map(r => r.field))];
+            }
+            const unknownFields = fields.filter(f => !findFieldConfig(f));
+            if (unknownFields.length > 0) {
+                sendToUI({
+                    type: 'error',
+                    message: `Unknown field${unknownFields.length !== 1 ? 's' : ''}: ${unknownFields.join(', ')}. It may have been removed in Settings.`,
+                });
+                return;
+            }
+            if (fields.length === 0 && !options.staleOnly) {
                 sendToUI({
                     type: 'error',
                     message: 'No fields selected. Choose at least one field (Alt Text, Caption, or Description).',
                 });
                 return;
             }
+            const compareBackends = options.compareBackends || [];
+            if (compareBackends.length === 1 || compareBackends.length > MAX_COMPARE_BACKENDS) {
+                sendToUI({
+                    type: 'error',
+                    message: `Choose 2 to ${MAX_COMPARE_BACKENDS} models to compare.`,
+                });
+                return;
+            }
+            const comparing = compareBackends.length > 0;
+            const contextLimit = options.contextLimit > 0 ? Math.floor(options.contextLimit) : DEFAULT_CONTEXT_LIMIT;
+            // Each extra language is requested as a language variant of every field
+            const languages = [settings.language, ...options.languages.filter(l => l !== settings.language)];
+            if (!options.staleOnly && !retrying) {
+                fields = languages.flatMap(language => fields.map(f => localizedField(f, language, settings)));
+            }
             // Find image nodes
             sendToUI({ type: 'status', message: 'Finding images...' });
-            let sourceNodes;
-            if (source === 'selection') {
-                sourceNodes = figma.currentPage.selection;
-                if (sourceNodes.length === 0) {
+            const filters = normalizeScanFilters(options.filters);
+            const scanStats = { filtered: 0 };
+            let allImageNodes;
+            if (retrying) {
+                // Retried nodes are looked up by ID, wherever the selection is now
+                const retryIds = new Set(options.retry.flatMap(r => r.nodeIds));
+                const found = [];
+                for (const id of retryIds) {
+                    const node = yield figma.getNodeByIdAsync(id);
+                    if (node && !node.removed && isImageNode(node))
+                        found.push(node);
+                }
+                if (found.length === 0) {
+                    sendToUI({
+                        type: 'error',
+                        message: 'The images that failed are no longer in the document.',
+                    });
+                    return;
+                }
+                allImageNodes = getImageNodes(found);
+            }
+            else if (source === 'selection') {
+                const selection = figma.currentPage.selection;
+                if (selection.length === 0) {
                     sendToUI({
                         type: 'error',
                         message: 'No layers selected. Select one or more layers containing images.',
                     });
                     return;
                 }
+                allImageNodes = getScanImageNodes('selection', filters, scanStats);
+                if (allImageNodes.length === 0 && options.describeSelection) {
+                    // "Describe anyway": the selected layers themselves, for this run only
+                    allImageNodes = selection.filter(canTreatAsImage);
+                }
+            }
+            else if (source === 'document') {
+                allImageNodes = yield getDocumentImageNodes(filters, scanStats, run);
             }
             else {
-                sourceNodes = figma.currentPage.children;
+                allImageNodes = getScanImageNodes('page', filters, scanStats);
             }
-            const allImageNodes = getImageNodes(sourceNodes);
             if (allImageNodes.length === 0) {
+                // Layers without image fills can still be described: let the UI offer it
+                const describable = source === 'selection' && scanStats.filtered === 0
+                    ? figma.currentPage.selection.filter(canTreatAsImage)
+                    : [];
+                if (describable.length > 0) {
+                    sendToUI({
+                        type: 'no-images-in-selection',
+                        nodes: describable.map(n => ({ nodeId: n.id, nodeName: n.name })),
+                    });
+                    return;
+                }
+                const where = source === 'selection' ? 'in the selection' : source === 'document' ? 'in this document' : 'on this page';
                 sendToUI({
                     type: 'error',
-                    message: source === 'selection'
-                        ? 'No images found in the selection. Select layers that contain images.'
-                        : 'No images found on this page.',
+                    message: scanStats.filtered > 0
+                        ? `No images ${where} match the scan filters (${scanStats.filtered} skipped).`
+                        : source === 'selection'
+                            ? 'No images found in the selection. Select layers that contain images, or frame a group to describe it as one.'
+                            : `No images found ${where}.`,
                 });
                 return;
             }
-            const imageNodes = allImageNodes;
-            const fieldLabels = fields.map(f => FIELD_CONFIGS[f].categoryLabel).join(', ');
+            if (scanStats.filtered > 0) {
+                sendToUI({
+                    type: 'status',
+                    message: `Skipping ${scanStats.filtered} image${scanStats.filtered !== 1 ? 's' : ''} excluded by the scan filters.`,
+                });
+            }
+            // Component mode: images inside instances are described on the main component
+            // layer they come from, which the instances inherit
+            let componentInfo = new Map();
+            if (options.components) {
+                sendToUI({ type: 'status', message: 'Resolving components...' });
+                const resolved = yield resolveComponentTargets(allImageNodes, run);
+                const inherited = allImageNodes.length - resolved.nodes.length;
+                allImageNodes = resolved.nodes;
+                componentInfo = resolved.components;
+                if (inherited > 0) {
+                    sendToUI({
+                        type: 'status',
+                        message: `${inherited} instance image${inherited !== 1 ? 's' : ''} will inherit from their main component.`,
+                    });
+                }
+            }
+            else {
+                const instanceCount = allImageNodes.filter(n => getOutermostInstance(n)).length;
+                if (instanceCount > 0) {
+                    sendToUI({
+                        type: 'status',
+                        message: `${instanceCount} image${instanceCount !== 1 ? 's are' : ' is'} inside component instances. Turn on "Annotate main components" to describe each component once.`,
+                    });
+                }
+            }
+            // Stale annotations describe an image that has since been swapped
+            const existingCategoryIds = yield findCategoryIds();
+            const staleByNode = new Map();
+            for (const node of allImageNodes) {
+                if (isNodeDecorative(node))
+                    continue;
+                const stale = getStaleFields(node, existingCategoryIds);
+                if (stale.length > 0)
+                    staleByNode.set(node.id, stale);
+            }
+            if (options.staleOnly) {
+                // "Regenerate stale" requests exactly the stale fields, in whatever language they are
+                fields = [...new Set([...staleByNode.values()].flat())];
+                if (fields.length === 0) {
+                    sendToUI({ type: 'generation-skipped', message: 'No stale annotations found.' });
+                    return;
+                }
+            }
+            else if (staleByNode.size > 0) {
+                sendToUI({
+                    type: 'status',
+                    message: `${staleByNode.size} image${staleByNode.size !== 1 ? 's have' : ' has'} stale annotations from a replaced image.`,
+                });
+            }
+            const fieldLabels = fields.map(f => getFieldConfig(f).categoryLabel).join(', ');
             sendToUI({
                 type: 'status',
-                message: `Found ${imageNodes.length} image(s). Generating: ${fieldLabels}`,
+                message: `Found ${allImageNodes.length} image(s). Generating: ${fieldLabels}`,
             });
+            // Decorative images are done by definition and never sent to the API
+            const candidateNodes = allImageNodes.filter(n => !isNodeDecorative(n));
+            const decorativeCount = allImageNodes.length - candidateNodes.length;
+            if (candidateNodes.length === 0) {
+                sendToUI({
+                    type: 'generation-skipped',
+                    message: `All ${allImageNodes.length} image${allImageNodes.length !== 1 ? 's are' : ' is'} marked decorative. Nothing to generate.`,
+                });
+                return;
+            }
+            if (decorativeCount > 0) {
+                sendToUI({
+                    type: 'status',
+                    message: `Skipping ${decorativeCount} decorative image${decorativeCount !== 1 ? 's' : ''}.`,
+                });
+            }
             // Ensure annotation categories exist
             sendToUI({ type: 'status', message: 'Setting up annotation categories...' });
             const categoryIds = yield ensureCategories(fields);
+            // In "only missing" mode, request per node only the fields it has no annotation for.
+            // Stale annotations count as missing. "Regenerate stale" requests only those, and
+            // "Retry failed" only the pairs that failed.
+            let imageNodes = candidateNodes;
+            let requestedFields = fields;
+            let fieldNodeIds;
+            let skippedImages = 0;
+            let skippedFields = 0;
+            if (options.onlyMissing || options.staleOnly || retrying) {
+                fieldNodeIds = new Map();
+                for (const field of fields) {
+                    fieldNodeIds.set(field, new Set());
+                }
+                imageNodes = [];
+                for (const node of candidateNodes) {
+                    const stale = staleByNode.get(node.id) || [];
+                    let needed;
+                    if (retrying) {
+                        needed = fields.filter(f => options.retry.some(r => r.field === f && r.nodeIds.includes(node.id)));
+                    }
+                    else if (options.staleOnly) {
+                        needed = stale;
+                    }
+                    else {
+                        const annotated = getAnnotatedFields(node, fields, categoryIds);
+                        needed = fields.filter(f => !annotated.has(f) || stale.includes(f));
+                        skippedFields += fields.length - needed.length;
+                        if (needed.length === 0)
+                            skippedImages++;
+                    }
+                    if (needed.length === 0)
+                        continue;
+                    imageNodes.push(node);
+                    for (const field of needed) {
+                        fieldNodeIds.get(field).add(node.id);
+                    }
+                }
+                requestedFields = fields.filter(f => fieldNodeIds.get(f).size > 0);
+                if (imageNodes.length === 0) {
+                    sendToUI({
+                        type: 'generation-skipped',
+                        message: `All ${candidateNodes.length} image${candidateNodes.length !== 1 ? 's' : ''} already have ${fieldLabels}. Nothing to generate.`,
+                    });
+                    return;
+                }
+                if (skippedFields > 0) {
+                    sendToUI({
+                        type: 'status',
+                        message: `Skipping ${skippedFields} existing field${skippedFields !== 1 ? 's' : ''} (${skippedImages} image${skippedImages !== 1 ? 's' : ''} fully annotated).`,
+                    });
+                }
+            }
             // Send category info to UI for display
             const categoryInfo = {};
             for (const field of fields) {
-                const config = FIELD_CONFIGS[field];
+                const config = getFieldConfig(field);
                 categoryInfo[field] = { label: config.categoryLabel, color: config.categoryColor };
             }
             sendToUI({ type: 'categories', categories: categoryInfo });
@@ -689,11 +2732,41 @@ function generateForFields(source, fields) {
             for (const node of imageNodes) {
                 nodeMap.set(node.id, node);
             }
-            // Export images as PNG bytes
-            const base64Images = [];
+            // Collect the images to send. They are exported lazily, chunk by chunk, in
+            // submitAndPollAllFields; only thumbnails are exported here.
             const fileNames = [];
             const nodeInfos = [];
+            const imageKeys = new Map();
+            // Raw mode: the original image (and its size) of each representative that has one
+            const rawImages = new Map();
+            // Prompt placeholders are filled from the group's representative layer
+            const promptVars = new Map();
+            // Layers showing the same image are sent once. They are grouped by the hash of
+            // their top image fill. Layers without one (treated as image) would have to be
+            // exported to compare, so each is its own group and isn't served from the cache.
+            // The first node of a group is its representative; the rest are linked to it.
+            const groupRepIds = new Map();
+            const linkedNodesByRep = new Map();
+            // What each layer needs itself, before representatives take on their group's fields
+            const neededNodeIds = fieldNodeIds && new Map([...fieldNodeIds].map(([field, ids]) => [field, new Set(ids)]));
+            const linkToGroup = (groupKey, node) => {
+                const repId = groupRepIds.get(groupKey);
+                if (!repId)
+                    return false;
+                linkedNodesByRep.get(repId).push({ nodeId: node.id, nodeName: node.name });
+                // The representative must be requested for every field any member needs
+                if (fieldNodeIds) {
+                    for (const ids of fieldNodeIds.values()) {
+                        if (ids.has(node.id))
+                            ids.add(repId);
+                    }
+                }
+                return true;
+            };
             for (let i = 0; i < imageNodes.length; i++) {
+                // Skip the remaining exports once cancelled
+                if (run.cancelled)
+                    break;
                 const node = imageNodes[i];
                 sendToUI({
                     type: 'progress',
@@ -701,11 +2774,23 @@ function generateForFields(source, fields) {
                     total: imageNodes.length,
                     phase: 'exporting',
                 });
+                const topPaint = getTopImagePaint(node);
+                const imageKey = topPaint && topPaint.imageHash ? `hash:${topPaint.imageHash}` : null;
+                if (imageKey && linkToGroup(imageKey, node))
+                    continue;
                 try {
-                    const bytes = yield exportNodeAsPng(node);
-                    const base64 = figma.base64Encode(bytes);
-                    base64Images.push(base64);
+                    if (imageKey) {
+                        groupRepIds.set(imageKey, node.id);
+                        imageKeys.set(node.id, imageKey);
+                    }
+                    linkedNodesByRep.set(node.id, []);
                     fileNames.push(node.id);
+                    const rawImage = options.rawImage ? yield getRawImage(node) : null;
+                    if (rawImage) {
+                        rawImages.set(node.id, rawImage);
+                        // Text for the original differs from text for a cropped or tinted render
+                        imageKeys.set(node.id, `raw:${rawImage.image.hash}`);
+                    }
                     // Export a small thumbnail for the UI preview
                     let thumbnail = '';
                     try {
@@ -719,32 +2804,146 @@ function generateForFields(source, fields) {
                         nodeName: node.name,
                         thumbnail: thumbnail,
                     });
+                    const vars = getPromptVariables(node, settings);
+                    if (options.context) {
+                        vars.context = collectImageContext(node, contextLimit);
+                    }
+                    promptVars.set(node.id, vars);
+                }
+                catch (err) {
+                    console.error(`Failed to export node "${node.name}" (${node.id}):`, err);
+                    sendToUI({
+                        type: 'status',
+                        message: `Warning: Failed to export "${node.name}", skipping.`,
+                    });
+                }
+            }
+            if (run.cancelled) {
+                sendToUI({ type: 'generation-cancelled' });
+                return;
+            }
+            if (fileNames.length === 0) {
+                sendToUI({
+                    type: 'error',
+                    message: 'Failed to export any images. Please try again.',
+                });
+                return;
+            }
+            if (fileNames.length < imageNodes.length) {
+                sendToUI({
+                    type: 'status',
+                    message: `${fileNames.length} unique image${fileNames.length !== 1 ? 's' : ''} across ${imageNodes.length} layers.`,
+                });
+            }
+            // Export an image when its first chunk is sent. A failed export skips the image.
+            // In raw mode, a node falls back to the rendered export if its original can't be sent.
+            const backends = comparing ? compareBackends : [settings.backend];
+            const exportFailures = new Set();
+            const exportImage = (nodeId) => __awaiter(this, void 0, void 0, function* () {
+                const node = nodeMap.get(nodeId);
+                try {
+                    const raw = rawImages.get(nodeId);
+                    const rawBytes = raw
+                        ? yield exportRawImageForUpload(raw.image, raw, settings.imageExport, backends).catch(err => {
+                            console.warn(`[Visionati] Could not send the original of "${node.name}", sending the rendered layer:`, err);
+                            return null;
+                        })
+                        : null;
+                    return figma.base64Encode(rawBytes || (yield exportNodeForUpload(node, settings.imageExport, backends)));
                 }
                 catch (err) {
                     console.error(`Failed to export node "${node.name}" (${node.id}):`, err);
+                    exportFailures.add(nodeId);
                     sendToUI({
                         type: 'status',
                         message: `Warning: Failed to export "${node.name}", skipping.`,
                     });
+                    return null;
+                }
+            });
+            // Serve cached results without an API call. Cache hits are removed from the
+            // per-field node sets, so only uncached image × field pairs are submitted.
+            // Compare runs always go to the API, since cached text comes from one backend.
+            const resultCache = yield loadResultCache();
+            const cachedFieldsByNode = new Map();
+            const apiFieldNodeIds = new Map();
+            let cachedCount = 0;
+            const now = Date.now();
+            for (const field of requestedFields) {
+                const nodeIdsForField = new Set();
+                for (const info of nodeInfos) {
+                    if (fieldNodeIds && !fieldNodeIds.get(field).has(info.nodeId))
+                        continue;
+                    const prompt = resolveFieldPrompt(field, settings, promptVars.get(info.nodeId));
+                    const imageKey = imageKeys.get(info.nodeId);
+                    const entry = comparing || !imageKey ? undefined : resultCache[resultCacheKey(imageKey, settings, field, prompt)];
+                    if (entry) {
+                        entry.usedAt = now;
+                        const cachedFields = cachedFieldsByNode.get(info.nodeId) || [];
+                        cachedFields.push({
+                            field,
+                            description: entry.description,
+                            backend: entry.backend,
+                            language: getFieldConfig(field).language,
+                            cached: true,
+                            promptHash: promptHash(field, prompt),
+                        });
+                        cachedFieldsByNode.set(info.nodeId, cachedFields);
+                        cachedCount++;
+                    }
+                    else {
+                        nodeIdsForField.add(info.nodeId);
+                    }
+                }
+                apiFieldNodeIds.set(field, nodeIdsForField);
+            }
+            const apiFields = requestedFields.filter(f => apiFieldNodeIds.get(f).size > 0);
+            if (cachedCount > 0) {
+                sendToUI({
+                    type: 'status',
+                    message: `${cachedCount} result${cachedCount !== 1 ? 's' : ''} served from cache.`,
+                });
+            }
+            // Submit API calls for all uncached fields and poll for results
+            const { responses: fieldResponses, errors: fieldErrors, failed, credits: remainingCredits } = apiFields.length > 0
+                ? yield submitAndPollAllFields(settings.apiKey, fileNames, {
+                    load: exportImage,
+                    estimateBytes: nodeId => estimateImageUploadBytes(nodeMap.get(nodeId), rawImages.get(nodeId) || null, settings.imageExport, backends),
+                }, settings, apiFields, run, apiFieldNodeIds, promptVars, backends)
+                : { responses: new Map(), errors: [], failed: [], credits: undefined };
+            // Failed pairs per field, with the layers linked to each failed image, for "Retry failed"
+            const failedNodeIds = new Map();
+            for (const f of failed) {
+                const ids = failedNodeIds.get(f.field) || new Set();
+                for (const id of f.nodeIds) {
+                    ids.add(id);
+                    for (const linked of linkedNodesByRep.get(id) || [])
+                        ids.add(linked.nodeId);
                 }
+                failedNodeIds.set(f.field, ids);
+            }
+            const failedRequests = [...failedNodeIds].map(([field, ids]) => ({ field, nodeIds: [...ids] }));
+            // Cancelled before anything came back
+            if (fieldResponses.size === 0 && cachedCount === 0 && run.cancelled) {
+                sendToUI({ type: 'generation-cancelled' });
+                return;
             }
-            if (base64Images.length === 0) {
+            if (fieldResponses.size === 0 && cachedCount === 0 && exportFailures.size === fileNames.length) {
                 sendToUI({
                     type: 'error',
                     message: 'Failed to export any images. Please try again.',
                 });
                 return;
             }
-            // Submit API calls for all fields and poll for results
-            const { responses: fieldResponses, errors: fieldErrors, credits: remainingCredits } = yield submitAndPollAllFields(settings.apiKey, base64Images, fileNames, settings, fields);
             // If ALL fields failed, show error and bail
-            if (fieldResponses.size === 0) {
+            if (fieldResponses.size === 0 && cachedCount === 0) {
                 const messages = fieldErrors.map(e => e.message);
                 sendToUI({
                     type: 'error',
                     messages: messages.length > 0
                         ? messages
                         : ['The API returned no results. Try a different model or check your API credits.'],
+                    failed: failedRequests,
                 });
                 return;
             }
@@ -752,11 +2951,22 @@ function generateForFields(source, fields) {
             const nodeResultMap = new Map();
             // Initialize entries for all exported nodes
             for (const info of nodeInfos) {
+                const linked = linkedNodesByRep.get(info.nodeId) || [];
+                // Main component layers grouped by image pass on the instances inheriting from them
+                const components = [info.nodeId, ...linked.map(ln => ln.nodeId)]
+                    .map(id => componentInfo.get(id))
+                    .filter((c) => !!c);
+                const inheritedBy = components.flatMap(c => c.inheritedBy || []);
+                const component = components.length > 0
+                    ? Object.assign(Object.assign({}, components[0]), { inheritedBy: inheritedBy.length > 0 ? inheritedBy : undefined }) : undefined;
                 nodeResultMap.set(info.nodeId, {
                     nodeId: info.nodeId,
                     nodeName: info.nodeName,
                     thumbnail: info.thumbnail || undefined,
-                    fields: [],
+                    fields: cachedFieldsByNode.get(info.nodeId) || [],
+                    linkedNodes: linked.length > 0 ? linked : undefined,
+                    context: promptVars.get(info.nodeId).context,
+                    component,
                 });
             }
             // Surface any backend errors from successful responses as warnings.
@@ -765,7 +2975,7 @@ function generateForFields(source, fields) {
             const fieldsWithSubmissionErrors = new Set(fieldErrors.map(e => e.field));
             for (const [field, response] of fieldResponses) {
                 if (response.all && response.all.errors && response.all.errors.length > 0) {
-                    const label = FIELD_CONFIGS[field].categoryLabel;
+                    const label = getFieldConfig(field).categoryLabel;
                     console.warn(`[Visionati] ${label} backend errors:`, response.all.errors);
                     // Only add if not already captured during submission phase
                     if (!fieldsWithSubmissionErrors.has(field)) {
@@ -804,27 +3014,51 @@ function generateForFields(source, fields) {
                     const nodeResult = nodeResultMap.get(nodeId);
                     if (!nodeResult)
                         continue;
-                    let description = '';
-                    let backendName = settings.backend;
-                    if (asset.descriptions && asset.descriptions.length > 0) {
-                        if (DEBUG)
-                            console.log(`[Visionati] Asset ${i}: ${asset.descriptions.length} description(s), first: ${JSON.stringify(asset.descriptions[0]).substring(0, 150)}`);
-                        description = asset.descriptions[0].description || '';
-                        backendName = asset.descriptions[0].source || settings.backend;
-                    }
-                    else {
-                        if (DEBUG)
-                            console.log(`[Visionati] Asset ${i}: no descriptions`);
-                    }
-                    if (description) {
-                        nodeResult.fields.push({
+                    // One description per backend (source); a normal run has a single backend
+                    const alternatives = (asset.descriptions || [])
+                        .filter(d => d.description)
+                        .map(d => ({ backend: d.source || settings.backend, description: d.description }));
+                    if (DEBUG)
+                        console.log(`[Visionati] Asset ${i}: ${alternatives.length} description(s)${alternatives.length > 0 ? `, first: ${JSON.stringify(alternatives[0]).substring(0, 150)}` : ''}`);
+                    if (alternatives.length > 0) {
+                        const prompt = resolveFieldPrompt(field, settings, promptVars.get(nodeId));
+                        const result = {
                             field: field,
-                            description: description,
-                            backend: backendName,
-                        });
+                            description: alternatives[0].description,
+                            backend: alternatives[0].backend,
+                            language: getFieldConfig(field).language,
+                            promptHash: promptHash(field, prompt),
+                        };
+                        if (comparing) {
+                            result.alternatives = alternatives;
+                        }
+                        nodeResult.fields.push(result);
                     }
                 }
             }
+            // Store fresh results in the cache (compare runs are not cached: the key has one backend)
+            for (const nodeResult of comparing ? [] : nodeResultMap.values()) {
+                const imageKey = imageKeys.get(nodeResult.nodeId);
+                if (!imageKey)
+                    continue;
+                for (const f of nodeResult.fields) {
+                    if (f.cached)
+                        continue;
+                    const prompt = resolveFieldPrompt(f.field, settings, promptVars.get(nodeResult.nodeId));
+                    resultCache[resultCacheKey(imageKey, settings, f.field, prompt)] = {
+                        description: f.description,
+                        backend: f.backend,
+                        usedAt: now,
+                    };
+                }
+            }
+            try {
+                yield saveResultCache(resultCache);
+                sendToUI({ type: 'cache-info', entries: Object.keys(resultCache).length });
+            }
+            catch (err) {
+                console.warn('[Visionati] Failed to save result cache:', err);
+            }
             // Collect results that have at least one field
             const results = [];
             for (const nodeResult of nodeResultMap.values()) {
@@ -832,6 +3066,10 @@ function generateForFields(source, fields) {
                     results.push(nodeResult);
                 }
             }
+            if (results.length === 0 && run.cancelled) {
+                sendToUI({ type: 'generation-cancelled' });
+                return;
+            }
             if (results.length === 0) {
                 const messages = fieldErrors.map(e => e.message);
                 sendToUI({
@@ -839,11 +3077,13 @@ function generateForFields(source, fields) {
                     messages: messages.length > 0
                         ? messages
                         : ['The API returned no descriptions. Try a different model or check your API credits.'],
+                    failed: failedRequests,
                 });
                 return;
             }
             // Detect fields that were requested but produced no descriptions anywhere
-            // (API call "succeeded" but returned empty/no descriptions — silent failure)
+            // (API call "succeeded" but returned empty/no descriptions — silent failure).
+            // A cancelled run is expected to be missing fields, so skip the check then.
             const fieldsWithResults = new Set();
             for (const nr of results) {
                 for (const f of nr.fields) {
@@ -851,9 +3091,11 @@ function generateForFields(source, fields) {
                 }
             }
             const fieldsAlreadyErrored = new Set(fieldErrors.map(e => e.field));
-            for (const field of fields) {
+            for (const field of apiFields) {
+                if (run.cancelled)
+                    break;
                 if (!fieldsWithResults.has(field) && !fieldsAlreadyErrored.has(field)) {
-                    const label = FIELD_CONFIGS[field].categoryLabel;
+                    const label = getFieldConfig(field).categoryLabel;
                     console.warn(`[Visionati] ${label}: API returned no descriptions (response had assets but all descriptions were empty)`);
                     fieldErrors.push({
                         field,
@@ -863,12 +3105,35 @@ function generateForFields(source, fields) {
             }
             // Report partial errors (some fields failed, others succeeded)
             if (fieldErrors.length > 0) {
-                const failedLabels = fieldErrors.map(e => FIELD_CONFIGS[e.field].categoryLabel);
+                const failedLabels = fieldErrors.map(e => getFieldConfig(e.field).categoryLabel);
                 sendToUI({
                     type: 'status',
                     message: `Warning: ${failedLabels.join(', ')} failed. Showing results for fields that succeeded.`,
                 });
             }
+            // A group's result goes only to the layers that need each field, so Apply
+            // doesn't overwrite the annotations that only-missing mode skipped
+            if (neededNodeIds) {
+                for (const nr of results) {
+                    const groupIds = [nr.nodeId, ...(nr.linkedNodes || []).map(ln => ln.nodeId)];
+                    for (const f of nr.fields) {
+                        const needed = groupIds.filter(id => neededNodeIds.get(f.field).has(id));
+                        if (needed.length < groupIds.length)
+                            f.nodeIds = needed;
+                    }
+                }
+            }
+            // Lint before the preview so problems show up next to the text, and flag
+            // results that replace a stale annotation
+            for (const nr of results) {
+                const issues = lintNodeFields(nr.nodeName, nr.fields, settings.lint);
+                const stale = staleByNode.get(nr.nodeId) || [];
+                nr.fields.forEach((f, i) => {
+                    f.lint = issues[i];
+                    if (stale.includes(f.field))
+                        f.stale = true;
+                });
+            }
             // Send results to UI for preview
             sendToUI({
                 type: 'results',
@@ -876,16 +3141,28 @@ function generateForFields(source, fields) {
                 totalImages: imageNodes.length,
                 fields: fields,
                 fieldErrors: fieldErrors.map(e => ({ field: e.field, message: e.message })),
+                failed: failedRequests,
                 credits: remainingCredits,
+                cancelled: run.cancelled,
+                skipped: { images: skippedImages, fields: skippedFields, decorative: decorativeCount, filtered: scanStats.filtered },
             });
         }
         catch (err) {
+            if (err instanceof GenerationCancelledError) {
+                sendToUI({ type: 'generation-cancelled' });
+                return;
+            }
             const message = (err === null || err === void 0 ? void 0 : err.message) || String(err);
             sendToUI({
                 type: 'error',
                 message: message,
             });
         }
+        finally {
+            if (activeRun === run) {
+                activeRun = null;
+            }
+        }
     });
 }
 // ============================================================================
@@ -905,6 +3182,33 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             }
             break;
         }
+        case 'image-encoded': {
+            const finish = pendingImageEncodes.get(msg.id);
+            if (finish) {
+                if (msg.error)
+                    console.warn('[Visionati] Image encoding failed:', msg.error);
+                finish(msg.bytes && !msg.error ? msg.bytes : null);
+            }
+            break;
+        }
+        case 'list-pages': {
+            sendToUI({
+                type: 'pages',
+                pages: figma.root.children.map(page => ({ id: page.id, name: page.name })),
+                currentPageId: figma.currentPage.id,
+            });
+            break;
+        }
+        case 'estimate-upload': {
+            try {
+                const estimate = yield estimateUpload(normalizeImageExportOptions(msg.imageExport), [msg.backend], normalizeScanFilters(msg.filters), !!msg.rawImage);
+                sendToUI(Object.assign({ type: 'upload-estimate' }, estimate));
+            }
+            catch (err) {
+                console.warn('[Visionati] Failed to estimate upload size:', err);
+            }
+            break;
+        }
         case 'save-settings': {
             try {
                 yield saveSettings(msg.settings);
@@ -916,8 +3220,137 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             }
             break;
         }
+        case 'save-custom-fields': {
+            try {
+                const defs = normalizeCustomFields(msg.fields);
+                yield saveCustomFields(defs);
+                registerCustomFields(defs);
+                sendFieldConfigs();
+                sendToUI({ type: 'status', message: 'Custom fields saved.' });
+                sendSelectionAnnotations();
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to save custom fields: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'export-annotations': {
+            try {
+                sendToUI({ type: 'status', message: 'Collecting annotations...' });
+                const pages = msg.scope === 'document' ? figma.root.children : [figma.currentPage];
+                const rows = yield collectAnnotationRows(pages);
+                sendToUI({ type: 'annotations-exported', scope: msg.scope, format: msg.format, rows });
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to export annotations: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'import-preview': {
+            try {
+                sendToUI({ type: 'status', message: 'Matching import rows...' });
+                const preview = yield buildImportPreview(msg.rows);
+                sendToUI({ type: 'import-preview', matches: preview.matches, conflicts: preview.conflicts });
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to read import: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'import-apply': {
+            let applied = 0;
+            let failed = 0;
+            const allFieldTypes = new Set();
+            for (const nodeData of msg.nodes) {
+                for (const f of nodeData.fields) {
+                    allFieldTypes.add(f.field);
+                }
+            }
+            const categoryIds = yield ensureCategories([...allFieldTypes]);
+            const settings = yield loadSettings();
+            const batch = yield startHistoryBatch('Import');
+            for (const nodeData of msg.nodes) {
+                try {
+                    const node = yield figma.getNodeByIdAsync(nodeData.nodeId);
+                    if (!node) {
+                        failed++;
+                        continue;
+                    }
+                    const decorative = nodeData.fields.some(f => isDecorativeImportText(f.field, f.description));
+                    const writes = nodeData.fields.filter(f => !isDecorativeImportText(f.field, f.description));
+                    yield recordWrite(batch, node, () => __awaiter(void 0, void 0, void 0, function* () {
+                        if (decorative)
+                            yield writeDecorativeAnnotation(node, categoryIds);
+                        if (writes.length > 0)
+                            yield writeMultipleFieldAnnotations(node, writes, categoryIds, settings);
+                    }));
+                    setRelaunchOnNode(node);
+                    applied++;
+                }
+                catch (_a) {
+                    failed++;
+                }
+            }
+            figma.notify(`Imported annotations for ${applied} layer${applied !== 1 ? 's' : ''}${failed > 0 ? `. ${failed} failed` : ''}.`);
+            sendToUI({ type: 'import-applied', applied, failed });
+            sendHistory();
+            sendSelectionAnnotations();
+            break;
+        }
+        case 'run-audit': {
+            try {
+                sendToUI({ type: 'status', message: 'Auditing images...' });
+                const pages = msg.scope === 'document' ? figma.root.children : [figma.currentPage];
+                const entries = yield buildAuditReport(pages);
+                sendToUI({ type: 'audit-report', scope: msg.scope, entries });
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Audit failed: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'focus-node': {
+            try {
+                const node = yield figma.getNodeByIdAsync(msg.nodeId);
+                if (!node) {
+                    sendToUI({ type: 'error', message: 'Layer not found. It may have been deleted.' });
+                    break;
+                }
+                // Switch to the node's page first when it lives elsewhere
+                let page = node.parent;
+                while (page && page.type !== 'PAGE')
+                    page = page.parent;
+                if (page && page !== figma.currentPage) {
+                    yield figma.setCurrentPageAsync(page);
+                }
+                figma.currentPage.selection = [node];
+                figma.viewport.scrollAndZoomIntoView([node]);
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to select layer: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'clear-cache': {
+            try {
+                yield figma.clientStorage.deleteAsync(RESULT_CACHE_STORAGE_KEY);
+                sendToUI({ type: 'cache-info', entries: 0 });
+                sendToUI({ type: 'status', message: 'Result cache cleared.' });
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to clear cache: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
         case 'generate': {
-            yield generateForFields(msg.source, msg.fields);
+            yield generateForFields(msg.source, msg.fields, Object.assign(Object.assign({}, DEFAULT_GENERATE_OPTIONS), msg.options));
+            break;
+        }
+        case 'cancel-generate': {
+            if (activeRun && !activeRun.cancelled) {
+                activeRun.cancelled = true;
+                sendToUI({ type: 'status', message: 'Cancelling...' });
+            }
             break;
         }
         case 'apply-field': {
@@ -931,15 +3364,27 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     break;
                 }
                 const categoryIds = yield ensureCategories([msg.field]);
-                yield writeFieldAnnotation(node, msg.field, msg.description, categoryIds);
-                setRelaunchOnNode(node);
+                const settings = yield loadSettings();
+                const source = { backend: msg.backend, promptHash: msg.promptHash, edited: msg.edited };
+                const targets = [node, ...yield resolveLinkedNodes(msg.linkedNodeIds)]
+                    .filter(t => !msg.nodeIds || msg.nodeIds.includes(t.id));
+                const batch = yield startHistoryBatch('Apply');
+                try {
+                    for (const target of targets) {
+                        yield recordWrite(batch, target, () => writeFieldAnnotation(target, msg.field, msg.description, categoryIds, settings, source));
+                        setRelaunchOnNode(target);
+                    }
+                }
+                finally {
+                    sendHistory();
+                }
                 sendToUI({
                     type: 'field-applied',
                     nodeId: msg.nodeId,
                     field: msg.field,
                 });
-                const label = FIELD_CONFIGS[msg.field].categoryLabel;
-                figma.notify(`${label} applied to "${node.name}".`);
+                const label = getFieldConfig(msg.field).categoryLabel;
+                figma.notify(`${label} applied to ${appliedToText(node, targets)}.`);
                 sendSelectionAnnotations();
             }
             catch (err) {
@@ -962,8 +3407,22 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                 }
                 const fieldTypes = msg.fields.map(f => f.field);
                 const categoryIds = yield ensureCategories(fieldTypes);
-                yield writeMultipleFieldAnnotations(node, msg.fields, categoryIds);
-                setRelaunchOnNode(node);
+                const settings = yield loadSettings();
+                const targets = [];
+                const batch = yield startHistoryBatch('Apply');
+                try {
+                    for (const target of [node, ...yield resolveLinkedNodes(msg.linkedNodeIds)]) {
+                        const writes = writesForTarget(msg.fields, target);
+                        if (writes.length === 0)
+                            continue;
+                        yield recordWrite(batch, target, () => writeMultipleFieldAnnotations(target, writes, categoryIds, settings));
+                        setRelaunchOnNode(target);
+                        targets.push(target);
+                    }
+                }
+                finally {
+                    sendHistory();
+                }
                 for (const f of msg.fields) {
                     sendToUI({
                         type: 'field-applied',
@@ -972,7 +3431,7 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     });
                 }
                 const count = msg.fields.length;
-                figma.notify(`${count} annotation${count !== 1 ? 's' : ''} applied to "${node.name}".`);
+                figma.notify(`${count} annotation${count !== 1 ? 's' : ''} applied to ${appliedToText(node, targets)}.`);
                 sendSelectionAnnotations();
             }
             catch (err) {
@@ -994,6 +3453,8 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                 }
             }
             const categoryIds = yield ensureCategories([...allFieldTypes]);
+            const settings = yield loadSettings();
+            const batch = yield startHistoryBatch('Apply All');
             for (const nodeData of msg.nodes) {
                 try {
                     const node = yield figma.getNodeByIdAsync(nodeData.nodeId);
@@ -1001,8 +3462,13 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                         failed++;
                         continue;
                     }
-                    yield writeMultipleFieldAnnotations(node, nodeData.fields, categoryIds);
-                    setRelaunchOnNode(node);
+                    for (const target of [node, ...yield resolveLinkedNodes(nodeData.linkedNodeIds)]) {
+                        const writes = writesForTarget(nodeData.fields, target);
+                        if (writes.length === 0)
+                            continue;
+                        yield recordWrite(batch, target, () => writeMultipleFieldAnnotations(target, writes, categoryIds, settings));
+                        setRelaunchOnNode(target);
+                    }
                     for (const f of nodeData.fields) {
                         sendToUI({
                             type: 'field-applied',
@@ -1012,7 +3478,7 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     }
                     applied++;
                 }
-                catch (_a) {
+                catch (_b) {
                     failed++;
                 }
             }
@@ -1029,9 +3495,21 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                 applied: applied,
                 failed: failed,
             });
+            sendHistory();
             sendSelectionAnnotations();
             break;
         }
+        case 'lint-results': {
+            const rules = normalizeLintSettings(msg.rules);
+            sendToUI({
+                type: 'results-linted',
+                nodes: msg.nodes.map(n => {
+                    const issues = lintNodeFields(n.nodeName, n.fields, rules);
+                    return { nodeId: n.nodeId, fields: n.fields.map((f, i) => ({ field: f.field, lint: issues[i] })) };
+                }),
+            });
+            break;
+        }
         case 'discard-field': {
             sendToUI({
                 type: 'field-discarded',
@@ -1066,24 +3544,40 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     }
                 }
                 const existing = [...(node.annotations || [])];
-                if (targetCategoryId) {
-                    // Remove annotations matching the category
-                    const filtered = existing
-                        .filter((a) => a.categoryId !== targetCategoryId)
-                        .map(sanitizeAnnotation);
-                    node.annotations = filtered;
-                }
-                else {
-                    // No category match — remove by label text match
-                    const filtered = existing
-                        .filter((a) => {
-                        const text = a.labelMarkdown || a.label || '';
-                        return !text.includes(`**${msg.categoryLabel.toUpperCase()}**`);
-                    })
-                        .map(sanitizeAnnotation);
-                    node.annotations = filtered;
-                }
+                // Removing the alt text also removes a decorative marker
+                const isAltText = msg.categoryLabel === BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+                const prefix = annotationPrefixForLabel(msg.categoryLabel);
+                const batch = yield startHistoryBatch('Remove');
+                yield recordWrite(batch, node, () => {
+                    if (targetCategoryId) {
+                        // Remove annotations matching the category
+                        const filtered = existing
+                            .filter((a) => a.categoryId !== targetCategoryId)
+                            .map(sanitizeAnnotation);
+                        node.annotations = filtered;
+                    }
+                    else {
+                        // No category match — remove by label text match
+                        const filtered = existing
+                            .filter((a) => {
+                            const text = a.labelMarkdown || a.label || '';
+                            if (isAltText && isDecorativeAnnotation(a))
+                                return false;
+                            return !text.includes(prefix);
+                        })
+                            .map(sanitizeAnnotation);
+                        node.annotations = filtered;
+                    }
+                    if (isAltText) {
+                        node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+                    }
+                    const removedField = findFieldByCategoryLabel(msg.categoryLabel);
+                    if (removedField) {
+                        clearFieldMetadata(node, removedField);
+                    }
+                });
                 figma.notify(`Removed ${msg.categoryLabel} from "${node.name}".`);
+                sendHistory();
                 sendSelectionAnnotations();
             }
             catch (err) {
@@ -1110,14 +3604,16 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     }
                 }
                 const existing = [...(node.annotations || [])];
+                const isAltText = msg.categoryLabel === BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+                const prefix = annotationPrefixForLabel(msg.categoryLabel);
                 let found = false;
                 const updated = existing.map((a) => {
                     const matchesCat = targetCategoryId && a.categoryId === targetCategoryId;
-                    const matchesText = !targetCategoryId && (a.labelMarkdown || a.label || '').includes(`**${msg.categoryLabel.toUpperCase()}**`);
+                    const matchesText = !targetCategoryId && ((a.labelMarkdown || a.label || '').includes(prefix) ||
+                        (isAltText && isDecorativeAnnotation(a)));
                     if ((matchesCat || matchesText) && !found) {
                         found = true;
                         // Rebuild with the new text, preserving bold prefix and category
-                        const prefix = `**${msg.categoryLabel.toUpperCase()}**`;
                         const result = {
                             labelMarkdown: `${prefix}\n${msg.newText}`,
                         };
@@ -1130,8 +3626,28 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     return sanitizeAnnotation(a);
                 });
                 if (found) {
-                    node.annotations = updated;
+                    const settings = yield loadSettings();
+                    const batch = yield startHistoryBatch('Edit');
+                    yield recordWrite(batch, node, () => {
+                        node.annotations = updated;
+                        // Writing real alt text over a decorative marker un-marks the node
+                        if (isAltText) {
+                            node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+                        }
+                        // Keep the generation details of edited text, or record it as new
+                        const editedField = findFieldByCategoryLabel(msg.categoryLabel);
+                        if (editedField) {
+                            const previous = readFieldMetadata(node, editedField);
+                            writeFieldMetadata(node, {
+                                field: editedField,
+                                description: msg.newText,
+                                backend: (previous === null || previous === void 0 ? void 0 : previous.backend) || undefined,
+                                promptHash: (previous === null || previous === void 0 ? void 0 : previous.promptHash) || undefined,
+                            }, settings, 'edited');
+                        }
+                    });
                     figma.notify(`Updated ${msg.categoryLabel} on "${node.name}".`);
+                    sendHistory();
                 }
                 else {
                     sendToUI({ type: 'error', message: `No ${msg.categoryLabel} annotation found on "${node.name}".` });
@@ -1143,6 +3659,108 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             }
             break;
         }
+        case 'mark-decorative': {
+            try {
+                const node = yield figma.getNodeByIdAsync(msg.nodeId);
+                if (!node) {
+                    sendToUI({
+                        type: 'error',
+                        message: `Node not found: ${msg.nodeId}. It may have been deleted.`,
+                    });
+                    break;
+                }
+                const categoryIds = yield ensureCategories(['alt_text']);
+                const linkedNodes = yield resolveLinkedNodes(msg.linkedNodeIds);
+                const batch = yield startHistoryBatch('Decorative');
+                try {
+                    for (const target of [node, ...linkedNodes]) {
+                        yield recordWrite(batch, target, () => writeDecorativeAnnotation(target, categoryIds));
+                        setRelaunchOnNode(target);
+                    }
+                }
+                finally {
+                    sendHistory();
+                }
+                sendToUI({ type: 'node-marked-decorative', nodeId: msg.nodeId });
+                figma.notify(`Marked "${node.name}" as decorative.`);
+                sendSelectionAnnotations();
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to mark decorative: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'set-treat-as-image': {
+            try {
+                const nodes = [];
+                for (const id of msg.nodeIds) {
+                    const node = yield figma.getNodeByIdAsync(id);
+                    if (node && canTreatAsImage(node))
+                        nodes.push(node);
+                }
+                if (nodes.length === 0) {
+                    sendToUI({ type: 'error', message: 'These layers can\'t be treated as images. Frame a group first.' });
+                    break;
+                }
+                for (const node of nodes) {
+                    node.setPluginData(TREAT_AS_IMAGE_PLUGIN_DATA_KEY, msg.value ? 'true' : '');
+                    if (msg.value)
+                        setRelaunchOnNode(node);
+                }
+                sendToUI({ type: 'treat-as-image-set', nodeIds: nodes.map(n => n.id), value: msg.value });
+                const subject = nodes.length === 1 ? `"${nodes[0].name}"` : `${nodes.length} layers`;
+                figma.notify(msg.value
+                    ? `Scans will describe ${subject} as ${nodes.length === 1 ? 'an image' : 'images'}.`
+                    : `${subject} ${nodes.length === 1 ? 'is' : 'are'} no longer treated as ${nodes.length === 1 ? 'an image' : 'images'}.`);
+                sendSelectionAnnotations();
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to update layers: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'restore-version': {
+            try {
+                const node = yield figma.getNodeByIdAsync(msg.nodeId);
+                const version = node ? readFieldVersions(node, msg.field).find(v => v.at === msg.at) : undefined;
+                if (!node || !version) {
+                    sendToUI({ type: 'error', message: 'That version is no longer on the layer.' });
+                    break;
+                }
+                const categoryIds = yield ensureCategories([msg.field]);
+                const settings = yield loadSettings();
+                const batch = yield startHistoryBatch('Restore');
+                try {
+                    yield recordWrite(batch, node, () => writeFieldAnnotation(node, msg.field, version.text, categoryIds, settings, { backend: version.backend || undefined }, 'restored'));
+                }
+                finally {
+                    sendHistory();
+                }
+                figma.notify(`Restored ${getFieldConfig(msg.field).categoryLabel} on "${node.name}" from ${new Date(version.at).toLocaleDateString()}.`);
+                sendSelectionAnnotations();
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to restore: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
+        case 'revert-history': {
+            try {
+                const { reverted, skipped } = yield revertHistoryEntries(msg.entryIds);
+                const parts = [`Reverted ${reverted} change${reverted !== 1 ? 's' : ''}`];
+                if (skipped > 0) {
+                    parts.push(`${skipped} skipped: changed since, or the layer was deleted`);
+                }
+                figma.notify(parts.join('. ') + '.');
+                sendToUI({ type: 'history-reverted', reverted, skipped });
+                sendHistory();
+                sendSelectionAnnotations();
+            }
+            catch (err) {
+                sendToUI({ type: 'error', message: `Failed to revert: ${(err === null || err === void 0 ? void 0 : err.message) || err}` });
+            }
+            break;
+        }
         case 'remove-all-annotations': {
             try {
                 const node = yield figma.getNodeByIdAsync(msg.nodeId);
@@ -1150,8 +3768,16 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
                     sendToUI({ type: 'error', message: 'Node not found or does not support annotations.' });
                     break;
                 }
-                node.annotations = [];
+                const batch = yield startHistoryBatch('Remove All');
+                yield recordWrite(batch, node, () => {
+                    node.annotations = [];
+                    node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+                    for (const key of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+                        clearFieldMetadata(node, key);
+                    }
+                });
                 figma.notify(`Removed all annotations from "${node.name}".`);
+                sendHistory();
                 sendSelectionAnnotations();
             }
             catch (err) {
@@ -1175,12 +3801,17 @@ function sendSelectionAnnotations() {
             return;
         }
         const annotatedNodes = [];
+        const categoryIds = yield findCategoryIds();
         for (const node of selection) {
             if (!('annotations' in node))
                 continue;
-            const annotations = node.annotations;
-            if (!annotations || annotations.length === 0)
+            const annotations = (node.annotations || []);
+            // Image nodes are listed even without annotations so they can be marked decorative,
+            // and other layers so they can be treated as images
+            const isImage = isImageNode(node);
+            if (annotations.length === 0 && !isImage && !canTreatAsImage(node))
                 continue;
+            const staleFields = getStaleFields(node, categoryIds);
             const parsed = [];
             for (const ann of annotations) {
                 const text = ann.labelMarkdown || ann.label || '';
@@ -1193,16 +3824,31 @@ function sendSelectionAnnotations() {
                     if (cat)
                         label = cat.label;
                 }
+                if (!label && isDecorativeAnnotation(ann)) {
+                    label = BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+                }
+                const field = getAnnotationField(ann, categoryIds);
                 parsed.push({
                     label: label,
                     categoryId: ann.categoryId || undefined,
                     text: text,
+                    stale: !!field && staleFields.includes(field),
+                    field: field || undefined,
+                    versions: field ? readFieldVersions(node, field) : [],
                 });
             }
-            if (parsed.length > 0) {
+            if (parsed.length > 0 || isImage || canTreatAsImage(node)) {
+                const source = isImage ? yield resolveComponentSource(node) : null;
                 annotatedNodes.push({
                     nodeId: node.id,
                     nodeName: node.name,
+                    isImage,
+                    decorative: isNodeDecorative(node),
+                    treatedAsImage: isTreatedAsImage(node),
+                    canTreatAsImage: canTreatAsImage(node),
+                    component: source
+                        ? { name: source.componentName, inherited: !!source.main, overridden: source.overridden, library: source.library }
+                        : undefined,
                     annotations: parsed,
                 });
             }
@@ -1224,16 +3870,25 @@ function showPluginUI(command) {
             themeColors: true,
             title: 'Visionati',
         });
+        // Custom fields must be registered before any generate or apply message arrives
+        registerCustomFields(yield loadCustomFields());
+        sendFieldConfigs();
         // Send initial settings to UI
         const settings = yield loadSettings();
         sendToUI({ type: 'settings', settings });
+        sendCacheInfo().catch(err => {
+            console.error('[Visionati] Failed to read result cache:', err);
+        });
         // If launched with a generate command, tell the UI to auto-trigger
-        if (command === 'selection' || command === 'all-images') {
+        if (command === 'selection' || command === 'all-images' || command === 'all-pages') {
             sendToUI({ type: 'auto-generate', source: command });
         }
         else if (command === 'settings') {
             sendToUI({ type: 'switch-tab', tab: 'settings' });
         }
+        else if (command === 'export') {
+            sendToUI({ type: 'switch-tab', tab: 'data' });
+        }
         // Listen for selection changes to show existing annotations
         // Remove old listener first to avoid accumulation across re-opens
         if (selectionChangeHandler) {
@@ -1260,7 +3915,9 @@ figma.on('run', (_a) => __awaiter(void 0, [_a], void 0, function* ({ command })
             case 'open':
             case 'selection':
             case 'all-images':
+            case 'all-pages':
             case 'settings':
+            case 'export':
                 yield showPluginUI(command);
                 break;
             default:
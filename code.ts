@@ -8,20 +8,84 @@
 // Types
 // ============================================================================
 
-type FieldType = 'alt_text' | 'caption' | 'description';
+type BuiltInFieldType = 'alt_text' | 'caption' | 'description';
+
+// A built-in field, or the ID of a custom field defined in Settings
+type FieldType = BuiltInFieldType | string;
 
 interface FieldConfig {
   role: string;
   categoryLabel: string;
   categoryColor: AnnotationCategoryColor;
   annotationPrefix: string;
+  // Custom fields only: overrides the role when set
+  prompt?: string;
+  custom?: boolean;
+  // Language variants only (e.g. alt_text@de): the language name sent to the API
+  language?: string;
+}
+
+// A user-defined field, stored in clientStorage under customFields
+interface CustomFieldDefinition {
+  // Slug of the label when the field was created; stays stable across renames
+  id: string;
+  label: string;
+  role: string;
+  prompt: string;
+  color: AnnotationCategoryColor;
+  prefix: string;
+}
+
+type LintRule = 'empty' | 'max_length' | 'banned_opening' | 'duplicate' | 'filename';
+type LintSeverity = 'off' | 'warning' | 'error';
+
+// Quality checks run on generated and edited text before it is applied
+interface LintSettings {
+  // Alt text longer than this is flagged
+  maxLength: number;
+  // Alt text starting with one of these (case-insensitive) is flagged
+  bannedOpenings: string[];
+  severity: Record<LintRule, LintSeverity>;
+  // Disable Apply All while a pending result has an error
+  blockApplyAllOnErrors: boolean;
+}
+
+interface LintIssue {
+  rule: LintRule;
+  severity: Exclude<LintSeverity, 'off'>;
+  message: string;
 }
 
 interface PluginSettings {
   apiKey: string;
   backend: string;
   language: string;
-  prompt: string;
+  // Optional prompt per built-in field; an empty prompt keeps the field's role
+  prompts: Partial<Record<BuiltInFieldType, string>>;
+  lint: LintSettings;
+  // Maximum API requests (submissions and polls) in flight at once
+  concurrency: number;
+  imageExport: ImageExportOptions;
+}
+
+// How images are exported for upload
+interface ImageExportOptions {
+  format: 'PNG' | 'JPG';
+  // JPEG quality, 1–100
+  quality: number;
+  // Longest side in pixels
+  maxDimension: number;
+  // Longest side when every requested model is a small one (see SMALL_MODEL_BACKENDS)
+  smallModelMaxDimension: number;
+}
+
+// Values for the {placeholders} in field prompts, filled per request
+interface PromptVariables {
+  layerName: string;
+  frameName: string;
+  language: string;
+  // Context mode only: text collected around the image, appended to the prompt
+  context?: string;
 }
 
 interface ImageNodeInfo {
@@ -34,6 +98,95 @@ interface FieldResult {
   field: FieldType;
   description: string;
   backend: string;
+  // Set for language variants, so the UI can group results by language
+  language?: string;
+  // Compare mode: every backend's description, so the user can pick the winner
+  alternatives?: Array<{ backend: string; description: string }>;
+  // Served from the local result cache instead of the API
+  cached?: boolean;
+  // See promptHash(); stored with the text when it is applied
+  promptHash?: string;
+  // The node's current annotation for this field is stale (its image was swapped)
+  stale?: boolean;
+  // Only-missing mode: the layers of the group (representative and linked) that need
+  // this field. Unset when all of them do.
+  nodeIds?: string[];
+  lint?: LintIssue[];
+}
+
+// Where generated text came from, passed back by the UI when it is applied
+interface FieldSource {
+  backend?: string;
+  promptHash?: string;
+  // The user changed the generated text before applying it
+  edited?: boolean;
+}
+
+interface FieldWrite extends FieldSource {
+  field: FieldType;
+  description: string;
+  // See FieldResult.nodeIds; the other layers keep their annotation
+  nodeIds?: string[];
+}
+
+// Machine-readable copy of an applied field, stored as shared plugin data so other
+// plugins, scripts and the REST API don't have to parse the annotation markdown
+interface FieldMetadata {
+  field: FieldType;
+  text: string;
+  // null for imported text
+  backend: string | null;
+  language: string;
+  promptHash: string | null;
+  // Hash of the node's visible image fill when the text was applied
+  imageHash: string | null;
+  // ISO 8601
+  appliedAt: string;
+  appliedBy: string | null;
+  // Changed by hand in Current Annotations after it was applied
+  edited?: boolean;
+}
+
+// How a field version's text was written
+type FieldVersionKind = 'generated' | 'edited' | 'imported' | 'restored';
+
+// One version of a field's text, kept in node plugin data so the text's history
+// stays with the document (see appendFieldVersion)
+interface FieldVersion {
+  text: string;
+  // null for imported and hand-written text
+  backend: string | null;
+  kind: FieldVersionKind;
+  user: string | null;
+  // ISO 8601; also identifies the version for restore-version
+  at: string;
+}
+
+interface LinkedNode {
+  nodeId: string;
+  nodeName: string;
+}
+
+// Where an image layer sits in a component, in component mode
+interface ComponentInfo {
+  // Main component name ("Set / Variant" for variants)
+  name: string;
+  // Instance layers that show this main component layer's annotations
+  inheritedBy?: LinkedNode[];
+  // An instance layer whose image is overridden, so it needs its own text
+  overridden?: boolean;
+  // The image comes from a library component, which is read-only, so the instance
+  // layers are annotated instead
+  library?: boolean;
+}
+
+// The main component layer an instance layer comes from (see resolveComponentSource)
+interface ComponentSource {
+  // null when the layer can't be annotated through its main component
+  main: SceneNode | null;
+  componentName: string;
+  overridden: boolean;
+  library: boolean;
 }
 
 interface NodeResult {
@@ -41,6 +194,105 @@ interface NodeResult {
   nodeName: string;
   thumbnail?: string;
   fields: FieldResult[];
+  // Other layers showing the same image; applying this result writes to them too
+  linkedNodes?: LinkedNode[];
+  // Context mode: the context sent with the image, shown on the card
+  context?: string;
+  // Component mode: the main component this layer belongs to, or overrides
+  component?: ComponentInfo;
+}
+
+// Tracks one generation run so a cancel-generate message can stop it mid-flight
+interface GenerationRun {
+  cancelled: boolean;
+}
+
+// Runs a task when a request slot is free. Urgent tasks skip ahead of the queue.
+type RequestScheduler = <T>(task: () => Promise<T>, urgent?: boolean) => Promise<T>;
+
+// A field whose request failed for these nodes, kept so the UI can retry just them
+interface FailedRequest {
+  field: FieldType;
+  nodeIds: string[];
+}
+
+interface ResultCacheEntry {
+  description: string;
+  backend: string;
+  usedAt: number;
+}
+
+// A node's annotations, field metadata and decorative flag before a write. Annotations
+// are keyed by historyKey().
+interface AnnotationSnapshot {
+  annotations: Map<string, Annotation>;
+  metadata: Map<string, string>;
+  decorative: string;
+}
+
+// Annotation writes made by one action (an Apply All, an import, a revert)
+interface HistoryBatch {
+  id: number;
+  action: string;
+  categoryIds: Map<FieldType, string | undefined>;
+}
+
+// One annotation change on one node, logged for the History tab
+interface HistoryEntry {
+  id: number;
+  batchId: number;
+  action: string;
+  at: number;
+  nodeId: string;
+  nodeName: string;
+  // Field ID, or "other:…" for annotations that are not a Visionati field
+  key: string;
+  label: string;
+  // null when there was no annotation before, or none after (removed)
+  oldText: string | null;
+  newText: string | null;
+  reverted: boolean;
+  // What a revert writes back
+  previous: { annotation: Annotation | null; metadata: string; decorative: string };
+}
+
+// One annotation exported as data (CSV/JSON)
+interface AnnotationExportRow {
+  nodeId: string;
+  layerName: string;
+  page: string;
+  framePath: string;
+  field: FieldType;
+  text: string;
+}
+
+// One row of an import file, parsed by the UI. Matched by node ID when present,
+// otherwise by layer name (narrowed by frame path when given) on the named page,
+// or on the current page when there is no page column.
+interface AnnotationImportRow {
+  nodeId?: string;
+  layerName?: string;
+  page?: string;
+  framePath?: string;
+  fields: Partial<Record<FieldType, string>>;
+}
+
+interface ImportChange {
+  field: FieldType;
+  oldText: string;
+  newText: string;
+}
+
+// Alt text state of an image in the audit report
+type AltTextStatus = 'has-alt' | 'missing' | 'decorative' | 'stale';
+
+interface AuditEntry {
+  nodeId: string;
+  nodeName: string;
+  page: string;
+  // Top-level frame containing the image, used for per-frame coverage
+  frame: string;
+  status: AltTextStatus;
 }
 
 interface VisionatiAsset {
@@ -67,15 +319,68 @@ interface VisionatiResponse {
 }
 
 // Message types from UI → Sandbox
+// Where a run looks for images: the selection, the current page, or every page
+type GenerateSource = 'selection' | 'page' | 'document';
+
+// Which images a scan sends. Size and layer filters apply to every source; pages
+// only to document scans, sections to page and document scans.
+interface ScanFilters {
+  // Skip images whose longest rendered side is below this many pixels
+  minSize: number;
+  includeHidden: boolean;
+  includeLocked: boolean;
+  // Layers inside component instances
+  includeInInstances: boolean;
+  // Pages to scan in a document scan; empty for all
+  pageIds: string[];
+  // Only images inside sections with these names (lowercase); empty for anywhere
+  sectionNames: string[];
+}
+
+// Counts what getImageNodes left out because of the scan filters
+interface ScanStats {
+  filtered: number;
+}
+
+// Per-run generation options chosen in the UI
+interface GenerateOptions {
+  // Skip fields that are already annotated on each node
+  onlyMissing: boolean;
+  // Languages to generate in besides the Settings language
+  languages: string[];
+  // Compare mode: 2–4 backends queried side by side instead of the Settings backend
+  compareBackends: string[];
+  // Context mode: send the text around each image with its request
+  context: boolean;
+  // Maximum characters of context per image
+  contextLimit: number;
+  // Send the original image of each node whose only visible fill is an image,
+  // instead of the rendered node (crops, filters, masks and children)
+  rawImage: boolean;
+  // "Regenerate stale": request only the fields whose annotations are stale, on each node
+  staleOnly: boolean;
+  // "Retry failed": request exactly these field × node pairs from an earlier run
+  retry: FailedRequest[];
+  filters: ScanFilters;
+  // Describe images inside instances once, on their main component layer
+  components: boolean;
+  // "Describe anyway": describe the selected layers when none has an image fill
+  describeSelection: boolean;
+}
+
 interface GenerateMessage {
   type: 'generate';
-  source: 'selection' | 'page';
+  source: GenerateSource;
   fields: FieldType[];
+  options?: Partial<GenerateOptions>;
 }
 
-interface ApplyFieldMessage {
+interface ApplyFieldMessage extends FieldSource {
   type: 'apply-field';
   nodeId: string;
+  linkedNodeIds?: string[];
+  // See FieldResult.nodeIds
+  nodeIds?: string[];
   field: FieldType;
   description: string;
 }
@@ -83,14 +388,16 @@ interface ApplyFieldMessage {
 interface ApplyNodeMessage {
   type: 'apply-node';
   nodeId: string;
-  fields: Array<{ field: FieldType; description: string }>;
+  linkedNodeIds?: string[];
+  fields: FieldWrite[];
 }
 
 interface ApplyAllMessage {
   type: 'apply-all';
   nodes: Array<{
     nodeId: string;
-    fields: Array<{ field: FieldType; description: string }>;
+    linkedNodeIds?: string[];
+    fields: FieldWrite[];
   }>;
 }
 
@@ -123,6 +430,39 @@ interface EditAnnotationMessage {
   newText: string;
 }
 
+interface CancelGenerateMessage {
+  type: 'cancel-generate';
+}
+
+interface MarkDecorativeMessage {
+  type: 'mark-decorative';
+  nodeId: string;
+  linkedNodeIds?: string[];
+}
+
+interface RestoreVersionMessage {
+  type: 'restore-version';
+  nodeId: string;
+  field: FieldType;
+  at: string;
+}
+
+interface RevertHistoryMessage {
+  type: 'revert-history';
+  entryIds: number[];
+}
+
+interface SetTreatAsImageMessage {
+  type: 'set-treat-as-image';
+  nodeIds: string[];
+  value: boolean;
+}
+
+interface SaveCustomFieldsMessage {
+  type: 'save-custom-fields';
+  fields: Array<Partial<CustomFieldDefinition>>;
+}
+
 interface SaveSettingsMessage {
   type: 'save-settings';
   settings: PluginSettings;
@@ -132,8 +472,72 @@ interface LoadSettingsMessage {
   type: 'load-settings';
 }
 
+interface ClearCacheMessage {
+  type: 'clear-cache';
+}
+
+interface ImportPreviewMessage {
+  type: 'import-preview';
+  rows: AnnotationImportRow[];
+}
+
+interface ImportApplyMessage {
+  type: 'import-apply';
+  nodes: Array<{
+    nodeId: string;
+    fields: Array<{ field: FieldType; description: string }>;
+  }>;
+}
+
+interface RunAuditMessage {
+  type: 'run-audit';
+  scope: 'page' | 'document';
+}
+
+interface FocusNodeMessage {
+  type: 'focus-node';
+  nodeId: string;
+}
+
+interface ListPagesMessage {
+  type: 'list-pages';
+}
+
+interface EstimateUploadMessage {
+  type: 'estimate-upload';
+  imageExport: ImageExportOptions;
+  backend: string;
+  // The Generate tab's scan filters and raw image option, as a run would use them
+  filters?: Partial<ScanFilters>;
+  rawImage?: boolean;
+}
+
+interface ImageEncodedMessage {
+  type: 'image-encoded';
+  id: number;
+  bytes?: Uint8Array;
+  error?: string;
+}
+
+interface LintResultsMessage {
+  type: 'lint-results';
+  rules: LintSettings;
+  nodes: Array<{
+    nodeId: string;
+    nodeName: string;
+    fields: Array<{ field: FieldType; description: string }>;
+  }>;
+}
+
+interface ExportAnnotationsMessage {
+  type: 'export-annotations';
+  scope: 'page' | 'document';
+  format: 'csv' | 'json';
+}
+
 type UIMessage =
   | GenerateMessage
+  | CancelGenerateMessage
   | ApplyFieldMessage
   | ApplyNodeMessage
   | ApplyAllMessage
@@ -142,8 +546,23 @@ type UIMessage =
   | RemoveAnnotationMessage
   | RemoveAllAnnotationsMessage
   | EditAnnotationMessage
+  | MarkDecorativeMessage
+  | SetTreatAsImageMessage
+  | RevertHistoryMessage
+  | RestoreVersionMessage
   | SaveSettingsMessage
-  | LoadSettingsMessage;
+  | SaveCustomFieldsMessage
+  | LoadSettingsMessage
+  | ClearCacheMessage
+  | ExportAnnotationsMessage
+  | ImportPreviewMessage
+  | ImportApplyMessage
+  | RunAuditMessage
+  | FocusNodeMessage
+  | LintResultsMessage
+  | ListPagesMessage
+  | EstimateUploadMessage
+  | ImageEncodedMessage;
 
 // ============================================================================
 // Constants
@@ -154,24 +573,122 @@ const DEBUG = false;
 const API_BASE_URL = 'https://api.visionati.com';
 const POLL_INTERVAL_MS = 2000;
 const MAX_POLL_ATTEMPTS = 30;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
 const MAX_EXPORT_DIMENSION = 2048;
+const MIN_EXPORT_DIMENSION = 256;
+const MAX_UPLOAD_DIMENSION = 4096;
+// Most images per API call; batches also stay within MAX_BATCH_BYTES of base64,
+// which is what the request body carries
 const BATCH_SIZE = 10;
+const MAX_BATCH_BYTES = 6 * 1024 * 1024;
+// Typical PNG size per pixel, for estimates made before exporting. Photos export
+// at about 1.2-1.6 bytes per pixel (RGB, with the constant alpha compressing away);
+// flat graphics come out much smaller.
+const PNG_BYTES_PER_PIXEL = 1.5;
+const IMAGE_ENCODE_TIMEOUT_MS = 30000;
+// Low-resolution vision models that gain nothing from large images
+const SMALL_MODEL_BACKENDS = ['llava', 'bakllava'];
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+const MAX_COMPARE_BACKENDS = 4;
+const DEFAULT_CONTEXT_LIMIT = 500;
+const RESULT_CACHE_STORAGE_KEY = 'resultCache';
+const RESULT_CACHE_MAX_ENTRIES = 500;
+const HISTORY_MAX_ENTRIES = 500;
+const CUSTOM_FIELDS_STORAGE_KEY = 'customFields';
+
+// Tiny icons and hidden variants are not worth describing
+const DEFAULT_SCAN_FILTERS: ScanFilters = {
+  minSize: 32,
+  includeHidden: false,
+  includeLocked: true,
+  includeInInstances: true,
+  pageIds: [],
+  sectionNames: [],
+};
+
+const DEFAULT_GENERATE_OPTIONS: GenerateOptions = {
+  onlyMissing: false,
+  languages: [],
+  compareBackends: [],
+  context: false,
+  contextLimit: DEFAULT_CONTEXT_LIMIT,
+  rawImage: false,
+  staleOnly: false,
+  retry: [],
+  filters: DEFAULT_SCAN_FILTERS,
+  components: false,
+  describeSelection: false,
+};
+
+// Screen readers read alt text in one go, so about 125 characters is the usual guideline
+const DEFAULT_LINT_SETTINGS: LintSettings = {
+  maxLength: 125,
+  bannedOpenings: [
+    'image of', 'an image of', 'picture of', 'a picture of',
+    'photo of', 'a photo of', 'photograph of', 'graphic of',
+  ],
+  severity: {
+    empty: 'error',
+    max_length: 'warning',
+    banned_opening: 'warning',
+    duplicate: 'warning',
+    filename: 'error',
+  },
+  blockApplyAllOnErrors: false,
+};
+
+const DEFAULT_IMAGE_EXPORT_OPTIONS: ImageExportOptions = {
+  format: 'PNG',
+  quality: 80,
+  maxDimension: MAX_EXPORT_DIMENSION,
+  smallModelMaxDimension: 1024,
+};
 
 const DEFAULT_SETTINGS: PluginSettings = {
   apiKey: '',
   backend: 'gemini',
   language: 'English',
-  prompt: '',
+  prompts: {},
+  lint: DEFAULT_LINT_SETTINGS,
+  concurrency: DEFAULT_CONCURRENCY,
+  imageExport: DEFAULT_IMAGE_EXPORT_OPTIONS,
 };
 
-const SETTINGS_KEYS: Array<keyof PluginSettings> = [
+// Settings stored as plain strings, one clientStorage key each
+const SETTINGS_KEYS: Array<Exclude<keyof PluginSettings, 'prompts' | 'lint' | 'concurrency' | 'imageExport'>> = [
   'apiKey',
   'backend',
   'language',
-  'prompt',
 ];
+const PROMPTS_STORAGE_KEY = 'prompts';
+// Before per-field prompts, one prompt replaced the role of every field
+const LEGACY_PROMPT_STORAGE_KEY = 'prompt';
+const LINT_STORAGE_KEY = 'lint';
+const CONCURRENCY_STORAGE_KEY = 'concurrency';
+const IMAGE_EXPORT_STORAGE_KEY = 'imageExport';
+
+// A bare file name such as "IMG_2034.png", or a camera default such as "DSC01234"
+const FILENAME_PATTERN = /^[^\s/\\]+\.(png|jpe?g|gif|webp|svg|avif|heic|tiff?|bmp)$/i;
+const CAMERA_NAME_PATTERN = /^(img|dsc|dscn|dcim|pxl|mvimg|screenshot)[_-]?\d[\w-]*$/i;
+
+const PROMPT_PLACEHOLDER_PATTERN = /\{(layerName|frameName|language)\}/g;
+// Prompts using these differ per image, so they are sent one image per request
+const PER_IMAGE_PLACEHOLDER_PATTERN = /\{(layerName|frameName)\}/;
+
+// Containers whose names say where an image sits, e.g. a "Team" section
+const CONTEXT_CONTAINER_TYPES: NodeType[] = ['FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+// A prompt replaces the role, so fields without one get an instruction for their role
+// when context is added
+const CONTEXT_ROLE_PROMPTS: Record<string, string> = {
+  alttext: 'Write concise alt text for this image.',
+  caption: 'Write a short caption for this image.',
+};
+const CONTEXT_DEFAULT_PROMPT = 'Describe this image.';
 
-const FIELD_CONFIGS: Record<FieldType, FieldConfig> = {
+const BUILT_IN_FIELD_CONFIGS: Record<BuiltInFieldType, FieldConfig> = {
   alt_text: {
     role: 'alttext',
     categoryLabel: 'Alt Text',
@@ -192,9 +709,82 @@ const FIELD_CONFIGS: Record<FieldType, FieldConfig> = {
   },
 };
 
-// Category IDs cached for the session
+// Language tags for annotations in extra languages, e.g. **ALT TEXT (de)**.
+// ISO 639-1 where one exists; keys match the language names the API accepts.
+const LANGUAGE_CODES: Record<string, string> = {
+  'Abkhazian': 'ab', 'Afar': 'aa', 'Afrikaans': 'af', 'Albanian': 'sq', 'Amharic': 'am',
+  'Arabic': 'ar', 'Aragonese': 'an', 'Armenian': 'hy', 'Assamese': 'as', 'Aymara': 'ay',
+  'Azerbaijani': 'az', 'Bashkir': 'ba', 'Basque': 'eu', 'Bengali (Bangla)': 'bn', 'Bhutani': 'dz',
+  'Bihari': 'bh', 'Bislama': 'bi', 'Breton': 'br', 'Bulgarian': 'bg', 'Burmese': 'my',
+  'Byelorussian (Belarusian)': 'be', 'Cambodian': 'km', 'Catalan': 'ca', 'Cherokee': 'chr',
+  'Chewa': 'ny', 'Chinese': 'zh', 'Chinese (Simplified)': 'zh-Hans',
+  'Chinese (Traditional)': 'zh-Hant', 'Corsican': 'co', 'Croatian': 'hr', 'Czech': 'cs',
+  'Danish': 'da', 'Divehi': 'dv', 'Dutch': 'nl', 'Edo': 'bin', 'English': 'en', 'Esperanto': 'eo',
+  'Estonian': 'et', 'Faeroese': 'fo', 'Farsi': 'fa', 'Fiji': 'fj', 'Finnish': 'fi', 'French': 'fr',
+  'Frisian': 'fy', 'Fulfulde': 'ff', 'Galician': 'gl', 'Gaelic (Scottish)': 'gd',
+  'Gaelic (Manx)': 'gv', 'Georgian': 'ka', 'German': 'de', 'Greek': 'el', 'Greenlandic': 'kl',
+  'Guarani': 'gn', 'Gujarati': 'gu', 'Haitian Creole': 'ht', 'Hausa': 'ha', 'Hawaiian': 'haw',
+  'Hebrew': 'he', 'Hindi': 'hi', 'Hungarian': 'hu', 'Icelandic': 'is', 'Ido': 'io', 'Igbo': 'ig',
+  'Indonesian': 'id', 'Interlingua': 'ia', 'Interlingue': 'ie', 'Inuktitut': 'iu', 'Inupiak': 'ik',
+  'Irish': 'ga', 'Italian': 'it', 'Japanese': 'ja', 'Javanese': 'jv', 'Kannada': 'kn',
+  'Kanuri': 'kr', 'Kashmiri': 'ks', 'Kazakh': 'kk', 'Kinyarwanda (Ruanda)': 'rw', 'Kirghiz': 'ky',
+  'Kirundi (Rundi)': 'rn', 'Konkani': 'kok', 'Korean': 'ko', 'Kurdish': 'ku', 'Laothian': 'lo',
+  'Latin': 'la', 'Latvian (Lettish)': 'lv', 'Limburgish (Limburger)': 'li', 'Lingala': 'ln',
+  'Lithuanian': 'lt', 'Macedonian': 'mk', 'Malagasy': 'mg', 'Malay': 'ms', 'Malayalam': 'ml',
+  'Maltese': 'mt', 'Maori': 'mi', 'Marathi': 'mr', 'Moldavian': 'ro-MD', 'Mongolian': 'mn',
+  'Nauru': 'na', 'Nepali': 'ne', 'Norwegian': 'no', 'Occitan': 'oc', 'Oriya': 'or',
+  'Oromo (Afaan Oromo)': 'om', 'Papiamentu': 'pap', 'Pashto (Pushto)': 'ps', 'Polish': 'pl',
+  'Portuguese': 'pt', 'Punjabi': 'pa', 'Quechua': 'qu', 'Rhaeto-Romance': 'rm', 'Romanian': 'ro',
+  'Russian': 'ru', 'Samoan': 'sm', 'Sangro': 'sg', 'Sanskrit': 'sa', 'Serbian': 'sr',
+  'Serbo-Croatian': 'sh', 'Sesotho': 'st', 'Setswana': 'tn', 'Shona': 'sn', 'Sichuan Yi': 'ii',
+  'Sindhi': 'sd', 'Sinhalese': 'si', 'Siswati': 'ss', 'Slovak': 'sk', 'Slovenian': 'sl',
+  'Somali': 'so', 'Spanish': 'es', 'Sundanese': 'su', 'Swahili (Kiswahili)': 'sw', 'Swedish': 'sv',
+  'Syriac': 'syr', 'Tagalog': 'tl', 'Tajik': 'tg', 'Tamazight': 'ber', 'Tamil': 'ta',
+  'Tatar': 'tt', 'Telugu': 'te', 'Thai': 'th', 'Tibetan': 'bo', 'Tigrinya': 'ti', 'Tonga': 'to',
+  'Tsonga': 'ts', 'Turkish': 'tr', 'Turkmen': 'tk', 'Twi': 'tw', 'Uighur': 'ug', 'Ukrainian': 'uk',
+  'Urdu': 'ur', 'Uzbek': 'uz', 'Venda': 've', 'Vietnamese': 'vi', 'Volapük': 'vo', 'Wallon': 'wa',
+  'Welsh': 'cy', 'Wolof': 'wo', 'Xhosa': 'xh', 'Yiddish yi': 'yi', 'Yoruba': 'yo', 'Zulu': 'zu',
+};
+
+const CATEGORY_COLORS: AnnotationCategoryColor[] = [
+  'yellow', 'orange', 'red', 'pink', 'violet', 'blue', 'teal', 'green',
+];
+
+// Column names the import parser reserves, so custom field IDs can't use them
+const RESERVED_FIELD_IDS = ['node_id', 'id', 'layer_name', 'layer', 'name', 'frame_path', 'path', 'page', 'field', 'text'];
+
+// Built-in plus custom fields, rebuilt by registerCustomFields()
+let fieldConfigs: Record<FieldType, FieldConfig> = { ...BUILT_IN_FIELD_CONFIGS };
+
+// Decorative images (WCAG empty alt) get this annotation in the Alt Text category,
+// plus node plugin data so the state survives annotation edits outside the plugin
+const DECORATIVE_PREFIX = 'DECORATIVE';
+const DECORATIVE_TEXT = 'Decorative image (empty alt).';
+const DECORATIVE_PLUGIN_DATA_KEY = 'decorative';
+// Alt text of decorative images in exports; importing it marks the image decorative
+const DECORATIVE_EXPORT_TEXT = '[decorative]';
+// Layers without an image fill (illustrations, charts, icons) that scans describe
+// as one image, marked with this node plugin data
+const TREAT_AS_IMAGE_PLUGIN_DATA_KEY = 'treatAsImage';
+// Node types that can be treated as images. Groups and boolean operations can't
+// hold annotations.
+const TREAT_AS_IMAGE_TYPES: NodeType[] = ['FRAME', 'COMPONENT', 'INSTANCE', 'VECTOR', 'STAR', 'POLYGON', 'ELLIPSE', 'LINE', 'RECTANGLE'];
+// Shared plugin data namespace for FieldMetadata, one key per field ID
+const SHARED_DATA_NAMESPACE = 'visionati';
+// Node plugin data key prefix for each field's FieldVersion list, e.g. "versions:alt_text"
+const VERSIONS_PLUGIN_DATA_PREFIX = 'versions:';
+const MAX_FIELD_VERSIONS = 20;
+
+// Category IDs cached for the session (keyed by field; cleared when custom fields change)
 const categoryIdCache: Map<FieldType, string> = new Map();
 
+// The generation run in progress, if any
+let activeRun: GenerationRun | null = null;
+
+// Annotation changes made this session, oldest first (see logAnnotationChanges)
+const annotationHistory: HistoryEntry[] = [];
+let nextHistoryId = 1;
+
 // Track selectionchange handler to avoid accumulating listeners
 let selectionChangeHandler: (() => void) | null = null;
 
@@ -217,29 +807,80 @@ function nodeHasImageFill(node: SceneNode): boolean {
 }
 
 /**
- * Recursively find all nodes with image fills from an array of nodes.
- * Traverses descendants using findAll when available.
+ * Check if a node can be marked "Treat as image".
+ */
+function canTreatAsImage(node: SceneNode): boolean {
+  return TREAT_AS_IMAGE_TYPES.includes(node.type);
+}
+
+/**
+ * Check if a node was marked "Treat as image".
+ */
+function isTreatedAsImage(node: SceneNode): boolean {
+  return node.getPluginData(TREAT_AS_IMAGE_PLUGIN_DATA_KEY) === 'true';
+}
+
+/**
+ * Check if scans describe a node: it has an image fill or is treated as an image.
+ */
+function isImageNode(node: SceneNode): boolean {
+  return nodeHasImageFill(node) || isTreatedAsImage(node);
+}
+
+/**
+ * Return the topmost visible IMAGE paint on a node, or null if it has none.
+ * Figma paints are ordered bottom to top.
+ */
+function getTopImagePaint(node: SceneNode): ImagePaint | null {
+  if (!('fills' in node) || !Array.isArray(node.fills)) return null;
+  const fills = node.fills as ReadonlyArray<Paint>;
+  for (let i = fills.length - 1; i >= 0; i--) {
+    const paint = fills[i];
+    if (paint.type === 'IMAGE' && paint.visible !== false) {
+      return paint;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recursively find all nodes with image fills, or treated as images, from an array
+ * of nodes. Traverses descendants using findAll when available. A layer treated as
+ * an image is described as a whole, so images inside it are left out. With filters,
+ * images that don't pass passesScanFilters() are left out and counted in stats.
  */
-function getImageNodes(nodes: ReadonlyArray<SceneNode>): SceneNode[] {
+function getImageNodes(
+  nodes: ReadonlyArray<SceneNode>,
+  filters?: ScanFilters,
+  stats?: ScanStats
+): SceneNode[] {
   const imageNodes: SceneNode[] = [];
   const seen = new Set<string>();
+  const add = (node: SceneNode) => {
+    if (seen.has(node.id)) return;
+    seen.add(node.id);
+    if (filters && !passesScanFilters(node, filters)) {
+      if (stats) stats.filtered++;
+      return;
+    }
+    imageNodes.push(node);
+  };
 
   for (const node of nodes) {
-    if (nodeHasImageFill(node) && !seen.has(node.id)) {
-      imageNodes.push(node);
-      seen.add(node.id);
-    }
+    if (isImageNode(node)) add(node);
 
     // Traverse descendants
-    if ('findAll' in node) {
-      const descendants = (node as ChildrenMixin & SceneNode).findAll(
-        (descendant: SceneNode) => nodeHasImageFill(descendant)
-      );
-      for (const desc of descendants) {
-        if (!seen.has(desc.id)) {
-          imageNodes.push(desc);
-          seen.add(desc.id);
+    if ('findAll' in node && !isTreatedAsImage(node)) {
+      const descendants = (node as ChildrenMixin & SceneNode).findAll(isImageNode);
+      const treatedIds = new Set(descendants.filter(isTreatedAsImage).map(d => d.id));
+      const insideTreated = (desc: SceneNode): boolean => {
+        for (let p = desc.parent; p && p !== node; p = p.parent) {
+          if (treatedIds.has(p.id)) return true;
         }
+        return false;
+      };
+      for (const desc of descendants) {
+        if (treatedIds.size === 0 || !insideTreated(desc)) add(desc);
       }
     }
   }
@@ -247,564 +888,2251 @@ function getImageNodes(nodes: ReadonlyArray<SceneNode>): SceneNode[] {
   return imageNodes;
 }
 
-
-// ============================================================================
-// Image Export
-// ============================================================================
+/**
+ * The images a selection or page scan sends, after the scan filters. The selection
+ * already says where to look, so sections don't narrow it.
+ */
+function getScanImageNodes(source: 'selection' | 'page', filters: ScanFilters, stats?: ScanStats): SceneNode[] {
+  return source === 'selection'
+    ? getImageNodes(figma.currentPage.selection, { ...filters, sectionNames: [] }, stats)
+    : getImageNodes(figma.currentPage.children, filters, stats);
+}
 
 /**
- * Export a node as PNG bytes, capping the longest dimension at MAX_EXPORT_DIMENSION.
- * LLMs don't benefit from higher resolution, and capping keeps payloads manageable
- * for large batches (e.g., 30+ images per API call).
+ * Check an image node against the scan filters. Hidden and locked state is
+ * inherited, so a layer inside a hidden frame counts as hidden.
  */
-async function exportNodeAsPng(node: SceneNode): Promise<Uint8Array> {
-  // Cap the longest dimension to avoid huge payloads
-  const maxDim = Math.max(node.width, node.height);
-  if (maxDim > MAX_EXPORT_DIMENSION) {
-    const constraint: ExportSettingsImage['constraint'] =
-      node.width >= node.height
-        ? { type: 'WIDTH', value: MAX_EXPORT_DIMENSION }
-        : { type: 'HEIGHT', value: MAX_EXPORT_DIMENSION };
-    return await (node as ExportMixin).exportAsync({ format: 'PNG', constraint });
+function passesScanFilters(node: SceneNode, filters: ScanFilters): boolean {
+  const bounds = 'absoluteRenderBounds' in node ? node.absoluteRenderBounds : null;
+  const size = bounds ? Math.max(bounds.width, bounds.height) : Math.max(node.width, node.height);
+  if (size < filters.minSize) return false;
+
+  let inSection = filters.sectionNames.length === 0;
+  for (let current: BaseNode | null = node; current && current.type !== 'PAGE' && current.type !== 'DOCUMENT'; current = current.parent) {
+    const scene = current as SceneNode;
+    if (!filters.includeHidden && scene.visible === false) return false;
+    if (!filters.includeLocked && scene.locked) return false;
+    if (!filters.includeInInstances && current !== node && current.type === 'INSTANCE') return false;
+    if (current.type === 'SECTION' && filters.sectionNames.includes(current.name.trim().toLowerCase())) inSection = true;
   }
-  return await (node as ExportMixin).exportAsync({ format: 'PNG' });
+  return inSection;
 }
 
 /**
- * Export a small thumbnail of a node for UI preview.
- * Returns a base64 data URL string (data:image/png;base64,...).
+ * Fill in defaults for missing or invalid scan filters from the UI.
  */
-async function exportNodeThumbnail(node: SceneNode): Promise<string> {
-  const bytes = await (node as ExportMixin).exportAsync({
-    format: 'PNG',
-    constraint: { type: 'WIDTH', value: 48 },
-  });
-  const base64 = figma.base64Encode(bytes);
-  return `data:image/png;base64,${base64}`;
+function normalizeScanFilters(value: any): ScanFilters {
+  const raw = value && typeof value === 'object' ? value : {};
+  const minSize = Number(raw.minSize);
+  const list = (v: any): string[] => (Array.isArray(v) ? v.map((x: any) => String(x).trim()).filter((x: string) => x !== '') : []);
+  return {
+    minSize: isFinite(minSize) && minSize >= 0 ? minSize : DEFAULT_SCAN_FILTERS.minSize,
+    includeHidden: typeof raw.includeHidden === 'boolean' ? raw.includeHidden : DEFAULT_SCAN_FILTERS.includeHidden,
+    includeLocked: typeof raw.includeLocked === 'boolean' ? raw.includeLocked : DEFAULT_SCAN_FILTERS.includeLocked,
+    includeInInstances: typeof raw.includeInInstances === 'boolean' ? raw.includeInInstances : DEFAULT_SCAN_FILTERS.includeInInstances,
+    pageIds: list(raw.pageIds),
+    sectionNames: list(raw.sectionNames).map(name => name.toLowerCase()),
+  };
 }
 
-// ============================================================================
-// Settings Storage
-// ============================================================================
-
 /**
- * Load all settings from clientStorage.
+ * Find image nodes on every page, or on the pages in filters.pageIds. Each page is
+ * loaded first, since the manifest uses dynamic page loading.
  */
-async function loadSettings(): Promise<PluginSettings> {
-  const settings: PluginSettings = { ...DEFAULT_SETTINGS };
-
-  for (const key of SETTINGS_KEYS) {
-    const value = await figma.clientStorage.getAsync(key);
-    if (value !== undefined && value !== null) {
-      settings[key] = value as string;
+async function getDocumentImageNodes(filters: ScanFilters, stats: ScanStats, run: GenerationRun): Promise<SceneNode[]> {
+  const pages = figma.root.children.filter(page => filters.pageIds.length === 0 || filters.pageIds.includes(page.id));
+  const imageNodes: SceneNode[] = [];
+  for (let i = 0; i < pages.length; i++) {
+    throwIfCancelled(run);
+    sendToUI({ type: 'status', message: `Scanning page ${i + 1}/${pages.length}: ${pages[i].name}...` });
+    await pages[i].loadAsync();
+    for (const node of getImageNodes(pages[i].children, filters, stats)) {
+      imageNodes.push(node);
     }
   }
-
-  return settings;
+  return imageNodes;
 }
 
+// ============================================================================
+// Components
+// ============================================================================
+
 /**
- * Save all settings to clientStorage.
+ * Return the outermost instance a node sits in (or is), or null if there is none.
  */
-async function saveSettings(settings: PluginSettings): Promise<void> {
-  for (const key of SETTINGS_KEYS) {
-    await figma.clientStorage.setAsync(key, settings[key]);
+function getOutermostInstance(node: SceneNode): InstanceNode | null {
+  let instance: InstanceNode | null = null;
+  for (let current: BaseNode | null = node; current && current.type !== 'PAGE'; current = current.parent) {
+    if (current.type === 'INSTANCE') instance = current;
   }
+  return instance;
 }
 
-// ============================================================================
-// Annotation Categories
-// ============================================================================
+/**
+ * Display name of a main component. Variants are named after their set.
+ */
+function componentLabel(component: ComponentNode): string {
+  return component.parent && component.parent.type === 'COMPONENT_SET'
+    ? `${component.parent.name} / ${component.name}`
+    : component.name;
+}
 
 /**
- * Find or create an annotation category for the given field.
- * Caches the category ID for the session to avoid repeated lookups.
+ * Follow child indices down from a node. Instances mirror the layer tree of their
+ * main component, so the same indices lead to the matching layer.
  */
-async function ensureCategoryForField(field: FieldType): Promise<string | undefined> {
-  // figma.annotations may be undefined on older Figma versions
-  if (!figma.annotations) {
-    return undefined;
+function findNodeByPath(root: SceneNode, path: number[]): SceneNode | null {
+  let current: SceneNode = root;
+  for (const index of path) {
+    if (!('children' in current) || !current.children[index]) return null;
+    current = current.children[index];
   }
+  return current;
+}
 
-  // Check cache first
-  const cached = categoryIdCache.get(field);
-  if (cached) {
-    // Verify it still exists (user might have deleted it)
-    const existing = await figma.annotations.getAnnotationCategoryByIdAsync(cached);
-    if (existing) {
-      return cached;
+/**
+ * Find the main component layer an image layer inside an instance comes from.
+ * Instances are checked from the innermost out, and the first main component whose
+ * layer shows the same image wins, so a nested component is described once for
+ * every component that uses it. Library components are read-only and are skipped
+ * when a local one also matches. Returns null when the layer is not in an instance.
+ */
+async function resolveComponentSource(node: SceneNode): Promise<ComponentSource | null> {
+  const topPaint = getTopImagePaint(node);
+  const hash = topPaint ? topPaint.imageHash : null;
+  const path: number[] = [];
+  let source: ComponentSource | null = null;
+
+  for (let current: SceneNode = node; ; current = current.parent as SceneNode) {
+    if (current.type === 'INSTANCE') {
+      const component = await current.getMainComponentAsync();
+      const counterpart = component ? findNodeByPath(component, path) : null;
+      const counterpartPaint = counterpart ? getTopImagePaint(counterpart) : null;
+      // Layers treated as images have no image hash to compare, so a layer of the same
+      // type is taken as the same
+      const matches = !!counterpart && (hash
+        ? !!counterpartPaint && counterpartPaint.imageHash === hash
+        : counterpart.type === node.type);
+      if (component && matches && !component.remote) {
+        return { main: counterpart, componentName: componentLabel(component), overridden: false, library: false };
+      }
+      if (component && (!source || (matches && !source.library))) {
+        source = { main: null, componentName: componentLabel(component), overridden: !matches, library: matches };
+      }
     }
-    categoryIdCache.delete(field);
+    const parent = current.parent;
+    if (!parent || parent.type === 'PAGE' || parent.type === 'DOCUMENT') break;
+    path.unshift(parent.children.indexOf(current));
   }
+  return source;
+}
 
-  const config = FIELD_CONFIGS[field];
+/**
+ * Replace image layers inside instances with the main component layers they come
+ * from, so each is described once and its instances inherit the annotations.
+ * Instance layers with an overridden image, or from a library component, stay as
+ * they are. Returns the layers to describe and component info keyed by their IDs.
+ */
+async function resolveComponentTargets(
+  nodes: SceneNode[],
+  run: GenerationRun
+): Promise<{ nodes: SceneNode[]; components: Map<string, ComponentInfo> }> {
+  const targets: SceneNode[] = [];
+  const components = new Map<string, ComponentInfo>();
+  const seen = new Set<string>();
+  const addTarget = (node: SceneNode) => {
+    if (seen.has(node.id)) return;
+    seen.add(node.id);
+    targets.push(node);
+  };
 
-  // Search existing categories by label
-  const categories = await figma.annotations.getAnnotationCategoriesAsync();
-  for (const cat of categories) {
-    if (cat.label === config.categoryLabel) {
-      categoryIdCache.set(field, cat.id);
-      return cat.id;
+  for (const node of nodes) {
+    throwIfCancelled(run);
+    const source = await resolveComponentSource(node);
+    if (!source) {
+      addTarget(node);
+      continue;
+    }
+    if (!source.main) {
+      components.set(node.id, {
+        name: source.componentName,
+        overridden: source.overridden || undefined,
+        library: source.library || undefined,
+      });
+      addTarget(node);
+      continue;
     }
+    addTarget(source.main);
+    const info = components.get(source.main.id) || { name: source.componentName, inheritedBy: [] };
+    // Named after the instance placed in the design, since instance layers share names
+    info.inheritedBy!.push({ nodeId: node.id, nodeName: `${getOutermostInstance(node)!.name} / ${node.name}` });
+    components.set(source.main.id, info);
   }
-
-  // Create new category
-  const newCategory = await figma.annotations.addAnnotationCategoryAsync({
-    label: config.categoryLabel,
-    color: config.categoryColor,
-  });
-
-  categoryIdCache.set(field, newCategory.id);
-  return newCategory.id;
+  return { nodes: targets, components };
 }
 
-/**
- * Ensure categories exist for all requested fields.
- * Returns a map of field → categoryId (value is undefined when annotations API is unavailable).
- */
-async function ensureCategories(fields: FieldType[]): Promise<Map<FieldType, string | undefined>> {
-  const result = new Map<FieldType, string | undefined>();
-  for (const field of fields) {
-    const id = await ensureCategoryForField(field);
-    result.set(field, id);
-  }
-  return result;
-}
 
 // ============================================================================
-// Visionati API
+// Image Export
 // ============================================================================
 
 /**
- * Send images to the Visionati API as a batched request with a specific role.
- * Returns the response_uri for async polling, or results if sync.
+ * Export constraint that caps the longest side at maxDimension, or undefined
+ * when the node is already small enough.
  */
-async function callVisionatiApi(
-  apiKey: string,
-  base64Images: string[],
-  fileNames: string[],
-  settings: PluginSettings,
-  role: string
-): Promise<VisionatiResponse> {
-  const body: Record<string, any> = {
-    file: base64Images,
-    file_name: fileNames,
-    role: role,
-    backend: [settings.backend],
-    language: settings.language,
-    feature: ['descriptions'],
-  };
+function exportConstraint(node: SceneNode, maxDimension: number): ExportSettingsImage['constraint'] {
+  if (Math.max(node.width, node.height) <= maxDimension) return undefined;
+  return node.width >= node.height
+    ? { type: 'WIDTH', value: maxDimension }
+    : { type: 'HEIGHT', value: maxDimension };
+}
 
-  // Custom prompt overrides role
-  if (settings.prompt && settings.prompt.trim() !== '') {
-    body.prompt = settings.prompt.trim();
-  }
+/**
+ * Longest side to upload at. Small models get the smaller cap, but only when
+ * every requested backend is one (a compare run sends the same images to all).
+ */
+function uploadMaxDimension(options: ImageExportOptions, backends: string[]): number {
+  const allSmall = backends.length > 0 && backends.every(b => SMALL_MODEL_BACKENDS.includes(b));
+  return allSmall ? Math.min(options.maxDimension, options.smallModelMaxDimension) : options.maxDimension;
+}
 
-  const response = await fetch(`${API_BASE_URL}/api/fetch`, {
-    method: 'POST',
-    headers: {
-      'X-API-Key': `Token ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
+/**
+ * Export a node for upload with the export options: PNG, or JPEG at the chosen
+ * quality. Figma's own JPG export has a fixed quality, so the PNG is re-encoded
+ * in the UI; if that fails, Figma's JPG export is used instead.
+ */
+async function exportNodeForUpload(node: SceneNode, options: ImageExportOptions, backends: string[]): Promise<Uint8Array> {
+  const constraint = exportConstraint(node, uploadMaxDimension(options, backends));
+  const png = await (node as ExportMixin).exportAsync(constraint ? { format: 'PNG', constraint } : { format: 'PNG' });
+  if (options.format === 'PNG') return png;
+
+  const jpeg = await encodeImageInUI(png, 'JPG', options.quality);
+  if (jpeg) return jpeg;
+  return await (node as ExportMixin).exportAsync(constraint ? { format: 'JPG', constraint } : { format: 'JPG' });
+}
 
-  if (!response.ok) {
-    const text = await response.text();
-    let errorMessage: string;
-    try {
-      const errorJson = JSON.parse(text);
-      errorMessage = errorJson.error || errorJson.message || `API error (${response.status})`;
-    } catch {
-      errorMessage = `API error (${response.status}): ${text.substring(0, 200)}`;
-    }
-    throw new Error(errorMessage);
+/**
+ * The original image of a node whose only visible fill is an image, or null.
+ * Nodes with more than one visible fill are exported as rendered instead, since
+ * the other fills change what the image looks like.
+ */
+function getSoleImageFill(node: SceneNode): Image | null {
+  if (!('fills' in node) || !Array.isArray(node.fills)) return null;
+  const visible = (node.fills as ReadonlyArray<Paint>).filter(paint => paint.visible !== false);
+  if (visible.length !== 1 || visible[0].type !== 'IMAGE' || !visible[0].imageHash) return null;
+  return figma.getImageByHash(visible[0].imageHash);
+}
+
+/**
+ * The original image a raw-mode run sends for a node, with its size, or null when
+ * the node has none or it can't be read (the rendered layer is sent instead).
+ */
+async function getRawImage(node: SceneNode): Promise<{ image: Image; width: number; height: number } | null> {
+  const image = getSoleImageFill(node);
+  if (!image) return null;
+  try {
+    const size = await image.getSizeAsync();
+    return { image, width: size.width, height: size.height };
+  } catch (err) {
+    console.warn(`[Visionati] Original image unavailable for "${node.name}", sending the rendered layer:`, err);
+    return null;
   }
+}
 
-  return await response.json() as VisionatiResponse;
+/**
+ * Original bytes of an image fill, for describing the asset rather than the node.
+ * Sent unchanged when within the upload cap; larger images are downscaled in the
+ * UI and re-encoded in the upload format. Resolves null if that fails.
+ */
+async function exportRawImageForUpload(
+  image: Image,
+  size: { width: number; height: number },
+  options: ImageExportOptions,
+  backends: string[]
+): Promise<Uint8Array | null> {
+  const bytes = await image.getBytesAsync();
+  const maxDimension = uploadMaxDimension(options, backends);
+  if (Math.max(size.width, size.height) <= maxDimension) return bytes;
+  return await encodeImageInUI(bytes, options.format, options.quality, maxDimension);
 }
 
 /**
- * Poll a single response_uri until results are ready.
+ * Estimate an image's upload size in bytes before exporting it, from its pixel
+ * size (capped for upload) and the format. Used to build batches and for the
+ * Settings estimate.
  */
-async function pollSingleUri(
-  apiKey: string,
-  responseUri: string,
-  fieldLabel: string,
-  onProgress: (attempt: number) => void
-): Promise<VisionatiResponse> {
-  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-    if (attempt > 0) {
-      await sleep(POLL_INTERVAL_MS);
-    }
+function estimateUploadBytes(width: number, height: number, options: ImageExportOptions, backends: string[]): number {
+  const scale = Math.min(1, uploadMaxDimension(options, backends) / Math.max(width, height, 1));
+  const pixels = Math.max(1, Math.round(width * scale)) * Math.max(1, Math.round(height * scale));
+  // JPEG grows steeply toward quality 100: about 0.1 bytes/pixel at 50, 0.28 at 80, 0.58 at 100
+  const bytesPerPixel = options.format === 'JPG'
+    ? 0.08 + 0.5 * Math.pow(options.quality / 100, 4)
+    : PNG_BYTES_PER_PIXEL;
+  return Math.round(pixels * bytesPerPixel);
+}
 
-    onProgress(attempt + 1);
+const pendingImageEncodes = new Map<number, (bytes: Uint8Array | null) => void>();
+let nextImageEncodeId = 1;
 
-    const response = await fetch(responseUri, {
-      method: 'GET',
-      headers: {
-        'X-API-Key': `Token ${apiKey}`,
-      },
-    });
+/**
+ * Ask the UI to re-encode image bytes with a canvas, as PNG or as JPEG at the
+ * given quality, downscaling to maxDimension when given. Resolves null if the UI
+ * reports an error or doesn't answer within IMAGE_ENCODE_TIMEOUT_MS.
+ */
+function encodeImageInUI(
+  bytes: Uint8Array,
+  format: 'PNG' | 'JPG',
+  quality: number,
+  maxDimension?: number
+): Promise<Uint8Array | null> {
+  const id = nextImageEncodeId++;
+  return new Promise(resolve => {
+    const timer = setTimeout(() => finish(null), IMAGE_ENCODE_TIMEOUT_MS);
+    const finish = (encoded: Uint8Array | null) => {
+      clearTimeout(timer);
+      pendingImageEncodes.delete(id);
+      resolve(encoded);
+    };
+    pendingImageEncodes.set(id, finish);
+    sendToUI({ type: 'encode-image', id, bytes, format, quality, maxDimension });
+  });
+}
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`Polling error for ${fieldLabel} (${response.status}): ${text.substring(0, 200)}`);
+/**
+ * Split items into batches of at most maxCount whose estimated sizes, once
+ * base64-encoded, add up to no more than MAX_BATCH_BYTES. An item over the
+ * budget gets a batch of its own.
+ */
+function chunkByBytes<T>(items: T[], sizeOf: (item: T) => number, maxCount: number): T[][] {
+  const chunks: T[][] = [];
+  let current: T[] = [];
+  let bytes = 0;
+  for (const item of items) {
+    const size = base64Length(sizeOf(item));
+    if (current.length > 0 && (current.length >= maxCount || bytes + size > MAX_BATCH_BYTES)) {
+      chunks.push(current);
+      current = [];
+      bytes = 0;
     }
+    current.push(item);
+    bytes += size;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
 
-    const data = await response.json() as VisionatiResponse;
-
-    if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} attempt ${attempt + 1}: status="${data.status}", has all=${!!data.all}, has response_uri=${!!data.response_uri}`);
+/**
+ * Size of bytes once base64-encoded for the request body.
+ */
+function base64Length(bytes: number): number {
+  return Math.ceil(bytes / 3) * 4;
+}
 
-    // Done: results are ready.
-    if (data.status === 'completed') {
-      if (data.all && data.all.assets && data.all.assets.length > 0) {
-        if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} DONE: ${data.all.assets.length} asset(s)`);
-        return data;
-      }
+/**
+ * Human-readable byte count, e.g. "3.4 MB".
+ */
+function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-      // Completed but got errors and no assets — backend failures
-      if (data.all && data.all.errors && data.all.errors.length > 0) {
-        throw new Error(`${fieldLabel}: ${data.all.errors.join('; ')}`);
-      }
+/**
+ * Estimated upload size of one image as a run sends it: the original fill in raw
+ * mode (see getRawImage), otherwise the rendered layer.
+ */
+function estimateImageUploadBytes(
+  node: SceneNode,
+  raw: { width: number; height: number } | null,
+  options: ImageExportOptions,
+  backends: string[]
+): number {
+  const size = raw || node;
+  return estimateUploadBytes(size.width, size.height, options, backends);
+}
 
-      // Completed but no results (all backends failed silently or empty response)
-      console.warn(`[Visionati] Poll ${fieldLabel} completed with empty assets:`, JSON.stringify(data).substring(0, 500));
-      throw new Error(`${fieldLabel}: No results returned. The AI backend may have timed out. Please try again.`);
+/**
+ * Estimate the upload for the selection, or the page when nothing is selected:
+ * the images a run with these filters would send, their base64 size and the
+ * requests per field.
+ */
+async function estimateUpload(
+  options: ImageExportOptions,
+  backends: string[],
+  filters: ScanFilters,
+  rawImage: boolean
+): Promise<{ scope: 'selection' | 'page'; images: number; bytes: number; batches: number }> {
+  const scope = figma.currentPage.selection.length > 0 ? 'selection' : 'page';
+  const nodes = getScanImageNodes(scope, filters);
+  const seen = new Set<string>();
+  const sizes: number[] = [];
+  for (const node of nodes) {
+    if (isNodeDecorative(node)) continue;
+    // Layers showing the same image are sent once
+    const paint = getTopImagePaint(node);
+    if (paint && paint.imageHash) {
+      if (seen.has(paint.imageHash)) continue;
+      seen.add(paint.imageHash);
     }
+    const raw = rawImage ? await getRawImage(node) : null;
+    sizes.push(estimateImageUploadBytes(node, raw, options, backends));
+  }
+  return {
+    scope,
+    images: sizes.length,
+    bytes: sizes.reduce((sum, size) => sum + base64Length(size), 0),
+    batches: chunkByBytes(sizes, size => size, BATCH_SIZE).length,
+  };
+}
 
-    // Still waiting: keep polling.
-    if (data.status === 'queued' || data.status === 'processing') {
-      if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} still ${data.status}, continuing...`);
-      continue;
+/**
+ * Export a small thumbnail of a node for UI preview.
+ * Returns a base64 data URL string (data:image/png;base64,...).
+ */
+async function exportNodeThumbnail(node: SceneNode): Promise<string> {
+  const bytes = await (node as ExportMixin).exportAsync({
+    format: 'PNG',
+    constraint: { type: 'WIDTH', value: 48 },
+  });
+  const base64 = figma.base64Encode(bytes);
+  return `data:image/png;base64,${base64}`;
+}
+
+// ============================================================================
+// Settings Storage
+// ============================================================================
+
+/**
+ * Load all settings from clientStorage.
+ */
+async function loadSettings(): Promise<PluginSettings> {
+  const settings: PluginSettings = { ...DEFAULT_SETTINGS, prompts: {} };
+
+  for (const key of SETTINGS_KEYS) {
+    const value = await figma.clientStorage.getAsync(key);
+    if (value !== undefined && value !== null) {
+      settings[key] = value as string;
     }
+  }
 
-    // Truly unexpected — include response data for diagnostics
-    const unexpectedDetail = data.error || data.message || '';
-    const responseSnippet = JSON.stringify(data).substring(0, 200);
-    console.warn(`[Visionati] Unexpected poll response for ${fieldLabel}:`, JSON.stringify(data).substring(0, 500));
-    if (unexpectedDetail) {
-      throw new Error(`${fieldLabel}: ${unexpectedDetail}`);
+  const prompts = await figma.clientStorage.getAsync(PROMPTS_STORAGE_KEY);
+  if (prompts && typeof prompts === 'object') {
+    settings.prompts = prompts as Partial<Record<BuiltInFieldType, string>>;
+  } else {
+    // Carry a legacy global prompt over to every built-in field, which is how it behaved.
+    // It is deleted on the next save.
+    const legacy = await figma.clientStorage.getAsync(LEGACY_PROMPT_STORAGE_KEY);
+    if (typeof legacy === 'string' && legacy.trim() !== '') {
+      for (const field of Object.keys(BUILT_IN_FIELD_CONFIGS) as BuiltInFieldType[]) {
+        settings.prompts[field] = legacy;
+      }
     }
-    throw new Error(`${fieldLabel}: Unexpected API response: ${responseSnippet}`);
   }
 
-  throw new Error(`Timed out waiting for ${fieldLabel} results. Please try again.`);
+  settings.lint = normalizeLintSettings(await figma.clientStorage.getAsync(LINT_STORAGE_KEY));
+  settings.concurrency = normalizeConcurrency(await figma.clientStorage.getAsync(CONCURRENCY_STORAGE_KEY));
+  settings.imageExport = normalizeImageExportOptions(await figma.clientStorage.getAsync(IMAGE_EXPORT_STORAGE_KEY));
+
+  return settings;
 }
 
-interface SubmitAndPollResult {
-  responses: Map<FieldType, VisionatiResponse>;
-  errors: Array<{ field: FieldType; message: string }>;
-  credits?: number;
+/**
+ * Clamp the request concurrency to 1–MAX_CONCURRENCY, defaulting when unset or invalid.
+ */
+function normalizeConcurrency(value: any): number {
+  const n = Math.floor(Number(value));
+  if (!isFinite(n) || n < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(n, MAX_CONCURRENCY);
 }
 
 /**
- * Submit API calls for multiple fields in parallel, chunking images into
- * batches of BATCH_SIZE per call. All field×chunk combinations are submitted
- * in parallel, polled concurrently, and results merged back per field.
- *
- * For 32 images × 3 fields with BATCH_SIZE=10:
- *   4 batches × 3 fields = 12 API calls, all in parallel.
+ * Fill in defaults for missing or invalid export options, clamping sizes and quality.
  */
-async function submitAndPollAllFields(
-  apiKey: string,
-  base64Images: string[],
-  fileNames: string[],
-  settings: PluginSettings,
-  fields: FieldType[]
-): Promise<SubmitAndPollResult> {
-  const responses = new Map<FieldType, VisionatiResponse>();
-  const errors: Array<{ field: FieldType; message: string }> = [];
+function normalizeImageExportOptions(value: any): ImageExportOptions {
+  const raw = value && typeof value === 'object' ? value : {};
+  const clamp = (n: any, min: number, max: number, fallback: number) => {
+    const v = Math.floor(Number(n));
+    return isFinite(v) && v > 0 ? Math.min(Math.max(v, min), max) : fallback;
+  };
+  return {
+    format: raw.format === 'JPG' ? 'JPG' : 'PNG',
+    quality: clamp(raw.quality, 1, 100, DEFAULT_IMAGE_EXPORT_OPTIONS.quality),
+    maxDimension: clamp(raw.maxDimension, MIN_EXPORT_DIMENSION, MAX_UPLOAD_DIMENSION, DEFAULT_IMAGE_EXPORT_OPTIONS.maxDimension),
+    smallModelMaxDimension: clamp(
+      raw.smallModelMaxDimension, MIN_EXPORT_DIMENSION, MAX_UPLOAD_DIMENSION, DEFAULT_IMAGE_EXPORT_OPTIONS.smallModelMaxDimension
+    ),
+  };
+}
 
-  // Chunk images into batches
-  const chunks: Array<{ images: string[]; names: string[] }> = [];
-  for (let i = 0; i < base64Images.length; i += BATCH_SIZE) {
-    chunks.push({
-      images: base64Images.slice(i, i + BATCH_SIZE),
-      names: fileNames.slice(i, i + BATCH_SIZE),
-    });
+/**
+ * Save all settings to clientStorage.
+ */
+async function saveSettings(settings: PluginSettings): Promise<void> {
+  for (const key of SETTINGS_KEYS) {
+    await figma.clientStorage.setAsync(key, settings[key]);
   }
+  await figma.clientStorage.setAsync(PROMPTS_STORAGE_KEY, settings.prompts || {});
+  await figma.clientStorage.deleteAsync(LEGACY_PROMPT_STORAGE_KEY);
+  await figma.clientStorage.setAsync(LINT_STORAGE_KEY, normalizeLintSettings(settings.lint));
+  await figma.clientStorage.setAsync(CONCURRENCY_STORAGE_KEY, normalizeConcurrency(settings.concurrency));
+  await figma.clientStorage.setAsync(IMAGE_EXPORT_STORAGE_KEY, normalizeImageExportOptions(settings.imageExport));
+}
 
-  const totalImages = base64Images.length;
-  const fieldLabels = fields.map(f => FIELD_CONFIGS[f].categoryLabel).join(', ');
-  sendToUI({
-    type: 'status',
-    message: `Processing ${totalImages} image${totalImages !== 1 ? 's' : ''} (${fieldLabels})...`,
-  });
+// ============================================================================
+// Custom Fields
+// ============================================================================
 
-  // Submit all field × chunk combinations in parallel
-  interface ChunkSubmission {
-    field: FieldType;
-    chunkIndex: number;
-    promise: Promise<VisionatiResponse>;
-  }
+/**
+ * All field IDs, built-in first, in the order custom fields were defined.
+ */
+function getAllFields(): FieldType[] {
+  return Object.keys(fieldConfigs);
+}
 
-  const submissions: ChunkSubmission[] = [];
-  for (const field of fields) {
-    const config = FIELD_CONFIGS[field];
-    for (let ci = 0; ci < chunks.length; ci++) {
-      const chunk = chunks[ci];
-      const promise = callVisionatiApi(apiKey, chunk.images, chunk.names, settings, config.role);
-      submissions.push({ field, chunkIndex: ci, promise });
+/**
+ * Return the field whose annotation category has the given label, if any.
+ * "Alt Text (de)" resolves to the alt_text@de language variant.
+ */
+function findFieldByCategoryLabel(label: string): FieldType | null {
+  for (const field of getAllFields()) {
+    if (fieldConfigs[field].categoryLabel === label) return field;
+  }
+  const match = label.match(/^(.+) \(([^()]+)\)$/);
+  if (match) {
+    const base = findFieldByCategoryLabel(match[1]);
+    if (base && !base.includes('@') && languageForCode(match[2])) {
+      return `${base}@${languageCode(languageForCode(match[2])!)}`;
     }
   }
+  return null;
+}
 
-  // Await all submissions, collecting sync results and async polling URIs
-  const needsPolling: Array<{ field: FieldType; chunkIndex: number; responseUri: string }> = [];
-  const chunkResponses: Array<{ field: FieldType; chunkIndex: number; response: VisionatiResponse }> = [];
+/**
+ * Config for a field or language variant, or null if the field is unknown (e.g. a custom
+ * field removed in Settings). Variants share the base field's role, prompt and color,
+ * and get their own category and prefix tagged with the language code.
+ */
+function findFieldConfig(field: FieldType): FieldConfig | null {
+  if (fieldConfigs[field]) return fieldConfigs[field];
+  const at = field.indexOf('@');
+  if (at === -1) return null;
+  const base = fieldConfigs[field.slice(0, at)];
+  const code = field.slice(at + 1);
+  const language = languageForCode(code);
+  if (!base || !language) return null;
+  return {
+    ...base,
+    categoryLabel: `${base.categoryLabel} (${code})`,
+    annotationPrefix: `${base.annotationPrefix} (${code})`,
+    language,
+  };
+}
 
-  for (const sub of submissions) {
-    try {
-      const response = await sub.promise;
-      const label = FIELD_CONFIGS[sub.field].categoryLabel;
-      const chunkLabel = chunks.length > 1 ? ` (batch ${sub.chunkIndex + 1})` : '';
+function getFieldConfig(field: FieldType): FieldConfig {
+  const config = findFieldConfig(field);
+  if (!config) {
+    throw new Error(`Unknown field "${field}".`);
+  }
+  return config;
+}
 
-      if (DEBUG) console.log(`[Visionati] Submission ${label}${chunkLabel}: status="${response.status}", has all=${!!response.all}, has response_uri=${!!response.response_uri}`);
+/**
+ * The base field of a language variant (alt_text@de → alt_text).
+ */
+function baseFieldOf(field: FieldType): FieldType {
+  const at = field.indexOf('@');
+  return at === -1 ? field : field.slice(0, at);
+}
 
-      if (response.status === 'completed' && response.all && response.all.assets && response.all.assets.length > 0) {
-        // Got sync results immediately
-        chunkResponses.push({ field: sub.field, chunkIndex: sub.chunkIndex, response });
-      } else if (response.response_uri) {
-        // Needs async polling
-        needsPolling.push({ field: sub.field, chunkIndex: sub.chunkIndex, responseUri: response.response_uri });
-      } else if (response.status === 'queued' || response.status === 'processing') {
-        // Async but missing response_uri — shouldn't happen, treat as error
-        errors.push({ field: sub.field, message: `${label}${chunkLabel}: Async response missing polling URI.` });
-      } else if (response.error || response.message) {
-        errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${response.error || response.message}` });
-      } else if (response.all && response.all.errors && response.all.errors.length > 0) {
-        errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${response.all.errors.join('; ')}` });
-      } else {
-        errors.push({ field: sub.field, message: `${label}${chunkLabel}: No results returned.` });
-      }
-    } catch (err: any) {
-      const label = FIELD_CONFIGS[sub.field].categoryLabel;
-      const chunkLabel = chunks.length > 1 ? ` (batch ${sub.chunkIndex + 1})` : '';
-      errors.push({ field: sub.field, message: `${label}${chunkLabel}: ${err?.message || err}` });
-    }
+// ============================================================================
+// Languages
+// ============================================================================
+
+/**
+ * Language tag for a language name, falling back to the name itself.
+ */
+function languageCode(language: string): string {
+  return LANGUAGE_CODES[language] || language;
+}
+
+/**
+ * Language name for a tag, matched case-insensitively (import files may lower-case it).
+ */
+function languageForCode(code: string): string | null {
+  const wanted = code.toLowerCase().replace(/_/g, '-');
+  for (const name of Object.keys(LANGUAGE_CODES)) {
+    if (LANGUAGE_CODES[name].toLowerCase() === wanted || name.toLowerCase() === wanted) return name;
   }
+  return null;
+}
 
-  // Poll all pending URIs concurrently using allSettled so one failure doesn't kill others
-  let latestCredits: number | undefined;
-  if (needsPolling.length > 0) {
-    // Track progress by unique images completed (not API calls)
-    const completedChunkIndices = new Set<number>();
-    let completedImages = 0;
-    // Count images already done from sync responses
-    for (const cr of chunkResponses) {
-      if (!completedChunkIndices.has(cr.chunkIndex)) {
-        completedChunkIndices.add(cr.chunkIndex);
-        completedImages += chunks[cr.chunkIndex].images.length;
-      }
-    }
-    sendToUI({
-      type: 'status',
-      message: `Waiting for results (${completedImages}/${totalImages} images)...`,
-    });
+/**
+ * The field to request for a language: the field itself for the Settings language,
+ * otherwise its language variant (alt_text@de).
+ */
+function localizedField(field: FieldType, language: string, settings: PluginSettings): FieldType {
+  return language === settings.language ? field : `${field}@${languageCode(language)}`;
+}
 
-    const pollPromises = needsPolling.map(p => {
-      const label = FIELD_CONFIGS[p.field].categoryLabel;
-      const chunkLabel = chunks.length > 1 ? ` batch ${p.chunkIndex + 1}` : '';
-      return pollSingleUri(
-        apiKey,
-        p.responseUri,
-        `${label}${chunkLabel}`,
-        () => {
-          // Per-attempt progress: show image-level completion
-          sendToUI({
-            type: 'progress',
-            current: completedImages,
-            total: totalImages,
-            phase: 'polling',
-          });
-        }
-      ).then(response => {
-        if (!completedChunkIndices.has(p.chunkIndex)) {
-          completedChunkIndices.add(p.chunkIndex);
-          completedImages += chunks[p.chunkIndex].images.length;
-        }
-        sendToUI({
-          type: 'progress',
-          current: completedImages,
-          total: totalImages,
-          phase: 'polling',
-        });
-        return { field: p.field, chunkIndex: p.chunkIndex, response, credits: response.credits };
-      });
-    });
+/**
+ * Canonical ID for a field named in an import file: known fields as-is, and language
+ * variants with their tag in canonical case (alt_text@zh_hans → alt_text@zh-Hans).
+ */
+function canonicalFieldId(field: string): FieldType | null {
+  if (fieldConfigs[field]) return field;
+  const at = field.indexOf('@');
+  if (at === -1) return null;
+  const language = languageForCode(field.slice(at + 1));
+  const base = field.slice(0, at);
+  return language && fieldConfigs[base] ? `${base}@${languageCode(language)}` : null;
+}
+
+/**
+ * The language a field is generated in.
+ */
+function fieldLanguage(field: FieldType, settings: PluginSettings): string {
+  return getFieldConfig(field).language || settings.language;
+}
+
+/**
+ * The bold `**PREFIX**` for annotations in a category. Custom fields may use a prefix
+ * that differs from their label; other categories fall back to the upper-cased label.
+ */
+function annotationPrefixForLabel(label: string): string {
+  const field = findFieldByCategoryLabel(label);
+  return `**${field ? getFieldConfig(field).annotationPrefix : label.toUpperCase()}**`;
+}
+
+/**
+ * The prompt template for a field, or '' to use its role. Custom fields carry their
+ * own prompt; built-in fields use the per-field prompt from Settings.
+ */
+function fieldPrompt(field: FieldType, settings: PluginSettings): string {
+  const base = baseFieldOf(field);
+  const config = fieldConfigs[base];
+  if (config && config.custom) return (config.prompt || '').trim();
+  return ((settings.prompts || {})[base as BuiltInFieldType] || '').trim();
+}
+
+/**
+ * The filled-in prompt for one field and image; {language} is the field's language.
+ * In context mode the image's context is appended.
+ */
+function resolveFieldPrompt(field: FieldType, settings: PluginSettings, vars: PromptVariables): string {
+  const prompt = fillPromptPlaceholders(fieldPrompt(field, settings), { ...vars, language: fieldLanguage(field, settings) });
+  if (!vars.context) return prompt;
+  const instruction = prompt || CONTEXT_ROLE_PROMPTS[getFieldConfig(field).role] || CONTEXT_DEFAULT_PROMPT;
+  return `${instruction}\n\nContext from the design around the image. Use it only where it matches what the image shows:\n${vars.context}`;
+}
+
+function promptNeedsPerImage(template: string): boolean {
+  return PER_IMAGE_PLACEHOLDER_PATTERN.test(template);
+}
+
+/**
+ * Replace {layerName}, {frameName} and {language} in a prompt template.
+ */
+function fillPromptPlaceholders(template: string, vars: PromptVariables): string {
+  return template.replace(PROMPT_PLACEHOLDER_PATTERN, (_match, key: 'layerName' | 'frameName' | 'language') => vars[key]);
+}
+
+/**
+ * Placeholder values for one image. The frame is the top-level frame containing the
+ * node, or empty when the node itself sits directly on the page.
+ */
+function getPromptVariables(node: SceneNode, settings: PluginSettings): PromptVariables {
+  const frameName = node.parent && node.parent.type !== 'PAGE' ? getTopLevelFrameName(node) : '';
+  return { layerName: node.name, frameName, language: settings.language };
+}
+
+/**
+ * Describe where an image sits: its layer name, the frames and sections containing it,
+ * and nearby text. Text comes from sibling layers (including text nested in them),
+ * then from text directly inside each containing frame, nearest first. The result is
+ * cut to `limit` characters.
+ */
+function collectImageContext(node: SceneNode, limit: number): string {
+  const containers: string[] = [];
+  const texts: string[] = [];
+  const seen = new Set<string>();
+  const addText = (text: TextNode) => {
+    if (!text.visible) return;
+    const value = text.characters.replace(/\s+/g, ' ').trim();
+    if (value && !seen.has(value)) {
+      seen.add(value);
+      texts.push(value);
+    }
+  };
+
+  let child: BaseNode = node;
+  let parent = node.parent;
+  while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+    const siblingsLevel = child === node;
+    for (const sibling of parent.children) {
+      if (sibling === child || !sibling.visible) continue;
+      if (sibling.type === 'TEXT') {
+        addText(sibling);
+      } else if (siblingsLevel && 'findAllWithCriteria' in sibling) {
+        for (const text of sibling.findAllWithCriteria({ types: ['TEXT'] })) addText(text);
+      }
+    }
+    if (CONTEXT_CONTAINER_TYPES.includes(parent.type)) containers.unshift(parent.name);
+    child = parent;
+    parent = parent.parent;
+  }
+
+  const lines = [`Layer: ${node.name}`];
+  if (containers.length > 0) lines.push(`Inside: ${containers.join(' > ')}`);
+  if (texts.length > 0) lines.push(`Nearby text: ${texts.join(' | ')}`);
+  const context = lines.join('\n');
+  return context.length > limit ? context.slice(0, Math.max(0, limit - 1)).trimEnd() + '…' : context;
+}
+
+function slugifyFieldLabel(label: string): string {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'field';
+}
+
+/**
+ * Validate custom field definitions from the UI and fill in defaults.
+ * Existing IDs are kept; new fields get a unique ID from their label.
+ * Throws with a user-facing message on an empty or duplicate label.
+ */
+function normalizeCustomFields(defs: Array<Partial<CustomFieldDefinition>>): CustomFieldDefinition[] {
+  const builtInLabels = Object.values(BUILT_IN_FIELD_CONFIGS).map(c => c.categoryLabel.toLowerCase());
+  const usedIds = new Set<string>([...Object.keys(BUILT_IN_FIELD_CONFIGS), ...RESERVED_FIELD_IDS]);
+  const usedLabels = new Set<string>(builtInLabels);
+  const result: CustomFieldDefinition[] = [];
+
+  for (const def of defs) {
+    const label = (def.label || '').trim();
+    if (!label) {
+      throw new Error('Custom fields need a label.');
+    }
+    if (usedLabels.has(label.toLowerCase())) {
+      throw new Error(`A field named "${label}" already exists.`);
+    }
+    usedLabels.add(label.toLowerCase());
+
+    // IDs are slugs, so they never contain the @ of a language variant
+    let id = def.id && /^[a-z0-9_]+$/.test(def.id) && !usedIds.has(def.id) ? def.id : slugifyFieldLabel(label);
+    if (usedIds.has(id)) {
+      let n = 2;
+      while (usedIds.has(`${id}_${n}`)) n++;
+      id = `${id}_${n}`;
+    }
+    usedIds.add(id);
+
+    // The prefix is written as **PREFIX**, so asterisks and line breaks would break parsing
+    const prefix = (def.prefix || label).replace(/[*\r\n]+/g, ' ').trim().toUpperCase();
+
+    result.push({
+      id,
+      label,
+      role: (def.role || '').trim() || 'general',
+      prompt: (def.prompt || '').trim(),
+      color: def.color && CATEGORY_COLORS.includes(def.color) ? def.color : 'orange',
+      prefix: prefix || label.toUpperCase(),
+    });
+  }
+  return result;
+}
+
+/**
+ * Load custom field definitions from clientStorage. Invalid stored data is ignored.
+ */
+async function loadCustomFields(): Promise<CustomFieldDefinition[]> {
+  try {
+    const stored = await figma.clientStorage.getAsync(CUSTOM_FIELDS_STORAGE_KEY);
+    if (Array.isArray(stored)) {
+      return normalizeCustomFields(stored);
+    }
+  } catch (err) {
+    console.warn('[Visionati] Failed to load custom fields:', err);
+  }
+  return [];
+}
+
+async function saveCustomFields(defs: CustomFieldDefinition[]): Promise<void> {
+  await figma.clientStorage.setAsync(CUSTOM_FIELDS_STORAGE_KEY, defs);
+}
+
+/**
+ * Rebuild fieldConfigs from the built-in fields plus the given custom fields.
+ */
+function registerCustomFields(defs: CustomFieldDefinition[]): void {
+  const configs: Record<FieldType, FieldConfig> = { ...BUILT_IN_FIELD_CONFIGS };
+  for (const def of defs) {
+    configs[def.id] = {
+      role: def.role,
+      categoryLabel: def.label,
+      categoryColor: def.color,
+      annotationPrefix: def.prefix,
+      prompt: def.prompt || undefined,
+      custom: true,
+    };
+  }
+  fieldConfigs = configs;
+  // A renamed field maps to a different category
+  categoryIdCache.clear();
+}
+
+/**
+ * Send every field (built-in and custom) to the UI for the pills, badges and Settings list.
+ */
+function sendFieldConfigs(): void {
+  const fields = getAllFields().map(id => {
+    const config = fieldConfigs[id];
+    return {
+      id,
+      label: config.categoryLabel,
+      color: config.categoryColor,
+      role: config.role,
+      prompt: config.prompt || '',
+      prefix: config.annotationPrefix,
+      custom: !!config.custom,
+    };
+  });
+  sendToUI({ type: 'field-configs', fields });
+}
+
+// ============================================================================
+// Result Cache
+// ============================================================================
+
+/**
+ * Build the cache key for one image × field. The image key is the image hash used
+ * to group duplicate layers (the original's hash in raw mode); the prompt is the filled one.
+ */
+function resultCacheKey(imageKey: string, settings: PluginSettings, field: FieldType, prompt: string): string {
+  return [imageKey, settings.backend, getFieldConfig(field).role, fieldLanguage(field, settings), prompt].join('|');
+}
+
+/**
+ * Load the result cache from clientStorage. A missing or unreadable cache is treated as empty.
+ */
+async function loadResultCache(): Promise<Record<string, ResultCacheEntry>> {
+  try {
+    const stored = await figma.clientStorage.getAsync(RESULT_CACHE_STORAGE_KEY);
+    if (stored && typeof stored === 'object') {
+      return stored as Record<string, ResultCacheEntry>;
+    }
+  } catch (err) {
+    console.warn('[Visionati] Failed to load result cache:', err);
+  }
+  return {};
+}
+
+/**
+ * Save the result cache, evicting the least recently used entries beyond RESULT_CACHE_MAX_ENTRIES.
+ */
+async function saveResultCache(cache: Record<string, ResultCacheEntry>): Promise<void> {
+  const keys = Object.keys(cache);
+  if (keys.length > RESULT_CACHE_MAX_ENTRIES) {
+    keys.sort((a, b) => cache[a].usedAt - cache[b].usedAt);
+    for (const key of keys.slice(0, keys.length - RESULT_CACHE_MAX_ENTRIES)) {
+      delete cache[key];
+    }
+  }
+  await figma.clientStorage.setAsync(RESULT_CACHE_STORAGE_KEY, cache);
+}
+
+/**
+ * Send the number of cached results to the UI for the Settings tab.
+ */
+async function sendCacheInfo(): Promise<void> {
+  const cache = await loadResultCache();
+  sendToUI({ type: 'cache-info', entries: Object.keys(cache).length });
+}
+
+// ============================================================================
+// Annotation Categories
+// ============================================================================
+
+/**
+ * Find or create an annotation category for the given field.
+ * Caches the category ID for the session to avoid repeated lookups.
+ */
+async function ensureCategoryForField(field: FieldType): Promise<string | undefined> {
+  // figma.annotations may be undefined on older Figma versions
+  if (!figma.annotations) {
+    return undefined;
+  }
+
+  // Check cache first
+  const cached = categoryIdCache.get(field);
+  if (cached) {
+    // Verify it still exists (user might have deleted it)
+    const existing = await figma.annotations.getAnnotationCategoryByIdAsync(cached);
+    if (existing) {
+      return cached;
+    }
+    categoryIdCache.delete(field);
+  }
+
+  const config = getFieldConfig(field);
+
+  // Search existing categories by label
+  const categories = await figma.annotations.getAnnotationCategoriesAsync();
+  for (const cat of categories) {
+    if (cat.label === config.categoryLabel) {
+      categoryIdCache.set(field, cat.id);
+      return cat.id;
+    }
+  }
+
+  // Create new category
+  const newCategory = await figma.annotations.addAnnotationCategoryAsync({
+    label: config.categoryLabel,
+    color: config.categoryColor,
+  });
+
+  categoryIdCache.set(field, newCategory.id);
+  return newCategory.id;
+}
+
+/**
+ * Look up the existing category ID for every field without creating missing ones.
+ * Used when reading annotations, where creating categories would be a side effect.
+ */
+async function findCategoryIds(): Promise<Map<FieldType, string | undefined>> {
+  const result = new Map<FieldType, string | undefined>();
+  if (!figma.annotations) {
+    return result;
+  }
+
+  const categories = await figma.annotations.getAnnotationCategoriesAsync();
+  for (const field of getAllFields()) {
+    const cat = categories.find(c => c.label === getFieldConfig(field).categoryLabel);
+    result.set(field, cat ? cat.id : undefined);
+  }
+  return result;
+}
+
+/**
+ * Ensure categories exist for all requested fields.
+ * Returns a map of field → categoryId (value is undefined when annotations API is unavailable).
+ */
+async function ensureCategories(fields: FieldType[]): Promise<Map<FieldType, string | undefined>> {
+  const result = new Map<FieldType, string | undefined>();
+  for (const field of fields) {
+    // Unknown fields (e.g. removed in Settings) are rejected when writing
+    if (!findFieldConfig(field)) continue;
+    const id = await ensureCategoryForField(field);
+    result.set(field, id);
+  }
+  return result;
+}
+
+// ============================================================================
+// Visionati API
+// ============================================================================
+
+/**
+ * Rate limits (429), timeouts (408) and server errors (5xx) are usually transient.
+ */
+function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read the Retry-After header, given in seconds or as an HTTP date.
+ * Returns the wait in milliseconds, or null when absent or unparseable.
+ */
+function getRetryAfterMs(response: FetchResponse): number | null {
+  const headers = response.headersObject || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === 'retry-after');
+  if (!key) return null;
+  const value = headers[key].trim();
+  if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * fetch() with automatic retries for network errors and retryable statuses.
+ * Waits for Retry-After when the server sends it, otherwise backs off
+ * exponentially (1s, 2s, 4s, with jitter). After MAX_RETRIES the last response
+ * is returned (or the network error thrown) for the caller to report.
+ * A POST is not resent after a network error: it may have reached the server,
+ * which would queue (and charge) it again.
+ * With a scheduler (polls), each attempt takes its own slot and the waits hold
+ * none. Submissions call this inside their slot, which keeps the chunk's images
+ * in memory, so their waits hold it.
+ * Throws GenerationCancelledError if the run is cancelled while waiting.
+ */
+async function fetchWithRetry(
+  url: string,
+  init: FetchOptions,
+  label: string,
+  run?: GenerationRun,
+  schedule?: RequestScheduler,
+  urgent = false
+): Promise<FetchResponse> {
+  for (let attempt = 0; ; attempt++) {
+    let response: FetchResponse | null = null;
+    let networkError: any = null;
+    try {
+      response = await (schedule ? schedule(() => fetch(url, init), urgent) : fetch(url, init));
+    } catch (err) {
+      networkError = err;
+    }
+
+    if (response && (response.ok || !isRetryableStatus(response.status))) return response;
+    if (!response && init.method === 'POST') throw networkError;
+    if (attempt >= MAX_RETRIES) {
+      if (response) return response;
+      throw networkError;
+    }
+
+    const retryAfter = response ? getRetryAfterMs(response) : null;
+    const backoff = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+    const delay = Math.min(retryAfter !== null ? retryAfter : backoff, MAX_RETRY_DELAY_MS);
+    const reason = !response
+      ? 'network error'
+      : response.status === 429 ? 'rate limited' : `server error ${response.status}`;
+    if (DEBUG) console.log(`[Visionati] ${label}: ${reason}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+    sendToUI({
+      type: 'status',
+      message: `${label}: ${reason}. Retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${MAX_RETRIES})...`,
+    });
+
+    await sleep(delay);
+    if (run) throwIfCancelled(run);
+  }
+}
+
+/**
+ * Create a scheduler that runs at most `limit` tasks at a time. Tasks wait in
+ * FIFO order; urgent tasks (polls) go to the front, so results keep coming back
+ * while submissions are still queued.
+ */
+function createRequestScheduler(limit: number): RequestScheduler {
+  let active = 0;
+  const queue: Array<() => void> = [];
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      active++;
+      queue.shift()!();
+    }
+  };
+  return <T>(task: () => Promise<T>, urgent = false) => new Promise<T>((resolve, reject) => {
+    const start = () => {
+      const done = () => {
+        active--;
+        next();
+      };
+      Promise.resolve().then(task).then(
+        value => { done(); resolve(value); },
+        err => { done(); reject(err); }
+      );
+    };
+    if (urgent) queue.unshift(start); else queue.push(start);
+    next();
+  });
+}
+
+/**
+ * Send images to the Visionati API as a batched request with a specific role.
+ * Returns the response_uri for async polling, or results if sync.
+ * Transient failures are retried (see fetchWithRetry).
+ */
+async function callVisionatiApi(
+  apiKey: string,
+  base64Images: string[],
+  fileNames: string[],
+  settings: PluginSettings,
+  role: string,
+  prompt: string,
+  language: string,
+  backends: string[] = [settings.backend],
+  label = 'Request',
+  run?: GenerationRun
+): Promise<VisionatiResponse> {
+  const body: Record<string, any> = {
+    file: base64Images,
+    file_name: fileNames,
+    role: role,
+    backend: backends,
+    language: language,
+    feature: ['descriptions'],
+  };
+
+  // Custom prompt overrides role
+  if (prompt) {
+    body.prompt = prompt;
+  }
+
+  const response = await fetchWithRetry(`${API_BASE_URL}/api/fetch`, {
+    method: 'POST',
+    headers: {
+      'X-API-Key': `Token ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  }, label, run);
+
+  if (!response.ok) {
+    const text = await response.text();
+    let errorMessage: string;
+    try {
+      const errorJson = JSON.parse(text);
+      errorMessage = errorJson.error || errorJson.message || `API error (${response.status})`;
+    } catch {
+      errorMessage = `API error (${response.status}): ${text.substring(0, 200)}`;
+    }
+    throw new Error(errorMessage);
+  }
+
+  return await response.json() as VisionatiResponse;
+}
+
+/**
+ * Poll a single response_uri until results are ready. Each GET takes an urgent
+ * slot from the scheduler; a failed GET is retried (see fetchWithRetry) without
+ * using up a poll attempt or holding a slot while it waits.
+ * Throws GenerationCancelledError if the run is cancelled between attempts.
+ */
+async function pollSingleUri(
+  apiKey: string,
+  responseUri: string,
+  fieldLabel: string,
+  run: GenerationRun,
+  schedule: RequestScheduler
+): Promise<VisionatiResponse> {
+  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    // Abandon the poll once the run is cancelled
+    throwIfCancelled(run);
+
+    const response = await fetchWithRetry(responseUri, {
+      method: 'GET',
+      headers: {
+        'X-API-Key': `Token ${apiKey}`,
+      },
+    }, fieldLabel, run, schedule, true);
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`Polling error for ${fieldLabel} (${response.status}): ${text.substring(0, 200)}`);
+    }
+
+    const data = await response.json() as VisionatiResponse;
+
+    if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} attempt ${attempt + 1}: status="${data.status}", has all=${!!data.all}, has response_uri=${!!data.response_uri}`);
+
+    // Done: results are ready.
+    if (data.status === 'completed') {
+      if (data.all && data.all.assets && data.all.assets.length > 0) {
+        if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} DONE: ${data.all.assets.length} asset(s)`);
+        return data;
+      }
+
+      // Completed but got errors and no assets — backend failures
+      if (data.all && data.all.errors && data.all.errors.length > 0) {
+        throw new Error(`${fieldLabel}: ${data.all.errors.join('; ')}`);
+      }
+
+      // Completed but no results (all backends failed silently or empty response)
+      console.warn(`[Visionati] Poll ${fieldLabel} completed with empty assets:`, JSON.stringify(data).substring(0, 500));
+      throw new Error(`${fieldLabel}: No results returned. The AI backend may have timed out. Please try again.`);
+    }
+
+    // Still waiting: keep polling.
+    if (data.status === 'queued' || data.status === 'processing') {
+      if (DEBUG) console.log(`[Visionati] Poll ${fieldLabel} still ${data.status}, continuing...`);
+      continue;
+    }
+
+    // Truly unexpected — include response data for diagnostics
+    const unexpectedDetail = data.error || data.message || '';
+    const responseSnippet = JSON.stringify(data).substring(0, 200);
+    console.warn(`[Visionati] Unexpected poll response for ${fieldLabel}:`, JSON.stringify(data).substring(0, 500));
+    if (unexpectedDetail) {
+      throw new Error(`${fieldLabel}: ${unexpectedDetail}`);
+    }
+    throw new Error(`${fieldLabel}: Unexpected API response: ${responseSnippet}`);
+  }
+
+  throw new Error(`Timed out waiting for ${fieldLabel} results. Please try again.`);
+}
+
+interface SubmitAndPollResult {
+  responses: Map<FieldType, VisionatiResponse>;
+  errors: Array<{ field: FieldType; message: string }>;
+  // The images of every chunk that failed, per field
+  failed: FailedRequest[];
+  credits?: number;
+}
+
+// The images submitAndPollAllFields sends, exported on demand
+interface UploadImageSource {
+  load(nodeId: string): Promise<string | null>;
+  estimateBytes(nodeId: string): number;
+}
+
+// One API call: a chunk of images for one field, within the batch byte budget
+interface ChunkRequest {
+  field: FieldType;
+  chunkIndex: number;
+  names: string[];
+  prompt: string;
+}
+
+/**
+ * Submit API calls for multiple fields, chunking images into batches of up to
+ * BATCH_SIZE images and MAX_BATCH_BYTES (estimated, base64) per call, poll each call,
+ * and merge results back per field.
+ *
+ * Submissions and polls go through a scheduler that runs at most
+ * settings.concurrency requests at a time. An image is exported only when the
+ * first chunk that sends it starts, shared with the chunks of the other fields,
+ * and dropped once the last of them has been submitted, so a large scan never
+ * holds every image in memory. Chunks are ordered by their first image so the
+ * fields of an image are sent close together.
+ *
+ * For 32 small images × 3 fields with BATCH_SIZE=10:
+ *   4 batches × 3 fields = 12 API calls, 4 at a time by default.
+ *
+ * When fieldNodeIds is given, each field only sends the images whose file name
+ * (node ID) is in that field's set, so fields can be requested per node.
+ *
+ * When the run is cancelled, no further calls are submitted, pending polls are
+ * abandoned, and only the responses that already came back are returned.
+ *
+ * Each chunk that still fails after retries is reported in `errors` and its
+ * images in `failed`, so they can be retried without redoing the rest.
+ */
+async function submitAndPollAllFields(
+  apiKey: string,
+  fileNames: string[],
+  images: UploadImageSource,
+  settings: PluginSettings,
+  fields: FieldType[],
+  run: GenerationRun,
+  fieldNodeIds?: Map<FieldType, Set<string>>,
+  promptVars?: Map<string, PromptVariables>,
+  backends: string[] = [settings.backend]
+): Promise<SubmitAndPollResult> {
+  const responses = new Map<FieldType, VisionatiResponse>();
+  const errors: Array<{ field: FieldType; message: string }> = [];
+  const failed: FailedRequest[] = [];
+  const varsFor = (name: string): PromptVariables =>
+    (promptVars && promptVars.get(name)) || { layerName: '', frameName: '', language: settings.language };
+
+  // Chunk each field's images into batches. A prompt with per-image placeholders or
+  // context is filled for each image, so those fields send one image per request.
+  const fieldChunks = new Map<FieldType, ChunkRequest[]>();
+  for (const field of fields) {
+    const allowed = fieldNodeIds ? fieldNodeIds.get(field) : undefined;
+    const names = fileNames.filter(name => !allowed || allowed.has(name));
+
+    const template = fieldPrompt(field, settings);
+    const perImage = promptNeedsPerImage(template) || names.some(name => !!varsFor(name).context);
+    const batches = chunkByBytes(names, name => images.estimateBytes(name), perImage ? 1 : BATCH_SIZE);
+    fieldChunks.set(field, batches.map((batch, chunkIndex) => ({
+      field,
+      chunkIndex,
+      names: batch,
+      prompt: resolveFieldPrompt(field, settings, varsFor(batch[0])),
+    })));
+  }
+  const chunksFor = (field: FieldType) => fieldChunks.get(field) || [];
+  const chunkFailed = (field: FieldType, chunkIndex: number, message: string) => {
+    const label = getFieldConfig(field).categoryLabel;
+    const chunkLabel = chunksFor(field).length > 1 ? ` (batch ${chunkIndex + 1})` : '';
+    errors.push({ field, message: `${label}${chunkLabel}: ${message}` });
+    failed.push({ field, nodeIds: chunksFor(field)[chunkIndex].names });
+  };
+
+  const position = new Map<string, number>();
+  fileNames.forEach((name, i) => position.set(name, i));
+  const requests = fields
+    .flatMap(chunksFor)
+    .sort((a, b) => position.get(a.names[0])! - position.get(b.names[0])!);
+
+  // Count the chunks that send each image (fields may send different subsets)
+  const uses = new Map<string, number>();
+  for (const request of requests) {
+    for (const name of request.names) uses.set(name, (uses.get(name) || 0) + 1);
+  }
+  const totalImages = uses.size;
+  let uploadBytes = 0;
+  for (const request of requests) {
+    for (const name of request.names) uploadBytes += base64Length(images.estimateBytes(name));
+  }
+  const fieldLabels = fields.map(f => getFieldConfig(f).categoryLabel).join(', ');
+  sendToUI({
+    type: 'status',
+    message: `Processing ${totalImages} image${totalImages !== 1 ? 's' : ''} (${fieldLabels}), about ${formatBytes(uploadBytes)} in ${requests.length} request${requests.length !== 1 ? 's' : ''}...`,
+  });
+
+  // Exported images, kept until the last chunk that sends them has been submitted
+  const exports = new Map<string, Promise<string | null>>();
+  const unsubmitted = new Map(uses);
+  const loadImage = (name: string): Promise<string | null> => {
+    let image = exports.get(name);
+    if (!image) {
+      image = images.load(name);
+      exports.set(name, image);
+    }
+    return image;
+  };
+  const releaseImage = (name: string) => {
+    const remaining = unsubmitted.get(name)! - 1;
+    unsubmitted.set(name, remaining);
+    if (remaining === 0) exports.delete(name);
+  };
+
+  // Progress is reported per finished chunk; an image is done once all its chunks are
+  const unfinished = new Map(uses);
+  let completedImages = 0;
+  let completedChunks = 0;
+  const chunkFinished = (request: ChunkRequest) => {
+    completedChunks++;
+    for (const name of request.names) {
+      const remaining = unfinished.get(name)! - 1;
+      unfinished.set(name, remaining);
+      if (remaining === 0) completedImages++;
+    }
+    sendToUI({
+      type: 'progress',
+      current: completedImages,
+      total: totalImages,
+      chunks: completedChunks,
+      totalChunks: requests.length,
+      phase: 'polling',
+    });
+  };
+
+  const schedule = createRequestScheduler(settings.concurrency);
+  const chunkResponses: Array<{ field: FieldType; response: VisionatiResponse }> = [];
+  let latestCredits: number | undefined;
+
+  const runChunk = async (request: ChunkRequest): Promise<void> => {
+    const config = getFieldConfig(request.field);
+    const label = `${config.categoryLabel}${chunksFor(request.field).length > 1 ? ` batch ${request.chunkIndex + 1}` : ''}`;
+    try {
+      // Export and submit in one slot, so at most `concurrency` chunks of images are in memory
+      const response = await schedule(async () => {
+        try {
+          throwIfCancelled(run);
+          const loaded = await Promise.all(request.names.map(loadImage));
+          const base64Images: string[] = [];
+          const names: string[] = [];
+          loaded.forEach((image, i) => {
+            if (image) {
+              base64Images.push(image);
+              names.push(request.names[i]);
+            }
+          });
+          // Every image in the chunk failed to export (already reported)
+          if (base64Images.length === 0) return null;
+          return await callVisionatiApi(
+            apiKey, base64Images, names, settings, config.role, request.prompt,
+            fieldLanguage(request.field, settings), backends, label, run
+          );
+        } finally {
+          request.names.forEach(releaseImage);
+        }
+      });
+      if (!response) return;
+
+      if (DEBUG) console.log(`[Visionati] Submission ${label}: status="${response.status}", has all=${!!response.all}, has response_uri=${!!response.response_uri}`);
+
+      if (response.status === 'completed' && response.all && response.all.assets && response.all.assets.length > 0) {
+        // Got sync results immediately
+        chunkResponses.push({ field: request.field, response });
+      } else if (response.response_uri) {
+        // Needs async polling
+        const polled = await pollSingleUri(apiKey, response.response_uri, label, run, schedule);
+        if (polled.credits !== undefined) latestCredits = polled.credits;
+        chunkResponses.push({ field: request.field, response: polled });
+      } else if (response.status === 'queued' || response.status === 'processing') {
+        // Async but missing response_uri — shouldn't happen, treat as error
+        chunkFailed(request.field, request.chunkIndex, 'Async response missing polling URI.');
+      } else if (response.error || response.message) {
+        chunkFailed(request.field, request.chunkIndex, `${response.error || response.message}`);
+      } else if (response.all && response.all.errors && response.all.errors.length > 0) {
+        chunkFailed(request.field, request.chunkIndex, response.all.errors.join('; '));
+      } else {
+        chunkFailed(request.field, request.chunkIndex, 'No results returned.');
+      }
+    } catch (err: any) {
+      // Chunks skipped or polls abandoned after a cancel are not failures
+      if (err instanceof GenerationCancelledError) return;
+      chunkFailed(request.field, request.chunkIndex, `${err?.message || err}`);
+    } finally {
+      chunkFinished(request);
+    }
+  };
+
+  // runChunk never rejects, so one failure doesn't stop the others
+  await Promise.all(requests.map(runChunk));
+
+  // Merge chunk responses into one response per field
+  for (const field of fields) {
+    const fieldChunks = chunkResponses.filter(cr => cr.field === field);
+    if (fieldChunks.length === 0) continue;
+
+    const mergedAssets: VisionatiAsset[] = [];
+    const mergedErrors: string[] = [];
+    for (const cr of fieldChunks) {
+      if (cr.response.all && cr.response.all.assets) {
+        mergedAssets.push(...cr.response.all.assets);
+      }
+      if (cr.response.all && cr.response.all.errors) {
+        mergedErrors.push(...cr.response.all.errors);
+      }
+    }
+
+    responses.set(field, {
+      all: {
+        assets: mergedAssets,
+        errors: mergedErrors.length > 0 ? mergedErrors : undefined,
+      },
+    });
+  }
+
+  return { responses, errors, failed, credits: latestCredits };
+}
+
+// ============================================================================
+// Annotation Writing
+// ============================================================================
+
+/**
+ * Sanitize an annotation to ensure it has only `label` OR `labelMarkdown`, not both.
+ * Figma's validation rejects annotations with both set.
+ */
+function sanitizeAnnotation(ann: Annotation): Annotation {
+  const result: Record<string, any> = {};
+  // Prefer labelMarkdown over label
+  if (ann.labelMarkdown) {
+    result.labelMarkdown = ann.labelMarkdown;
+  } else if (ann.label) {
+    result.label = ann.label;
+  }
+  if (ann.properties) result.properties = ann.properties;
+  if (ann.categoryId) result.categoryId = ann.categoryId;
+  return result as Annotation;
+}
+
+/**
+ * Check whether an annotation belongs to the given field, by category ID when
+ * available or by the bold prefix that writeFieldAnnotation uses.
+ */
+function annotationMatchesField(
+  ann: Annotation,
+  field: FieldType,
+  categoryId: string | undefined
+): boolean {
+  if (categoryId && ann.categoryId === categoryId) return true;
+  // A decorative marker stands in for the alt text
+  if (field === 'alt_text' && isDecorativeAnnotation(ann)) return true;
+  const annText = ann.labelMarkdown || ann.label || '';
+  return annText.startsWith(`**${getFieldConfig(field).annotationPrefix}**`);
+}
+
+function isDecorativeAnnotation(ann: Annotation): boolean {
+  return (ann.labelMarkdown || ann.label || '').startsWith(`**${DECORATIVE_PREFIX}**`);
+}
+
+/**
+ * Check whether a node is marked decorative, by plugin data or by its annotation.
+ */
+function isNodeDecorative(node: SceneNode): boolean {
+  if (node.getPluginData(DECORATIVE_PLUGIN_DATA_KEY) === 'true') return true;
+  if (!('annotations' in node)) return false;
+  const annotations: ReadonlyArray<Annotation> = (node as any).annotations || [];
+  return annotations.some(isDecorativeAnnotation);
+}
+
+/**
+ * Return the field an annotation belongs to, or null for non-Visionati annotations.
+ */
+function getAnnotationField(
+  ann: Annotation,
+  categoryIds: Map<FieldType, string | undefined>
+): FieldType | null {
+  for (const field of getAllFields()) {
+    if (annotationMatchesField(ann, field, categoryIds.get(field))) return field;
+  }
+
+  // Language variants are recognized by their tagged prefix, e.g. **ALT TEXT (de)**
+  const match = (ann.labelMarkdown || ann.label || '').match(/^\*\*(.+) \(([^()*]+)\)\*\*/);
+  if (match) {
+    for (const field of getAllFields()) {
+      if (fieldConfigs[field].annotationPrefix === match[1]) {
+        return canonicalFieldId(`${field}@${match[2]}`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Strip the bold `**PREFIX**` line from an annotation's markdown, leaving the plain text.
+ */
+function stripAnnotationPrefix(text: string): string {
+  return text.replace(/^\*\*[^*\n]+\*\*\n?/, '');
+}
+
+/**
+ * Return the fields (out of the given ones) that already have an annotation on the node.
+ */
+function getAnnotatedFields(
+  node: SceneNode,
+  fields: FieldType[],
+  categoryIds: Map<FieldType, string | undefined>
+): Set<FieldType> {
+  const annotated = new Set<FieldType>();
+  if (!('annotations' in node)) return annotated;
+
+  const annotations: ReadonlyArray<Annotation> = (node as any).annotations || [];
+  for (const field of fields) {
+    const categoryId = categoryIds.get(field);
+    if (annotations.some(a => annotationMatchesField(a, field, categoryId))) {
+      annotated.add(field);
+    }
+  }
+  return annotated;
+}
+
+/**
+ * Write a single field's annotation to a node, preserving annotations from other fields
+ * and any manually-added annotations.
+ */
+async function writeFieldAnnotation(
+  node: SceneNode,
+  field: FieldType,
+  text: string,
+  categoryIds: Map<FieldType, string | undefined>,
+  settings: PluginSettings,
+  source: FieldSource = {},
+  kind?: FieldVersionKind
+): Promise<void> {
+  if (!('annotations' in node)) {
+    throw new Error(`Node "${node.name}" does not support annotations.`);
+  }
+
+  const categoryId = categoryIds.get(field);
+  const config = getFieldConfig(field);
+
+  // Read existing annotations and filter out any with the same category or prefix
+  const existing: Annotation[] = [...((node as any).annotations || [])];
+  const preserved = existing
+    .filter((a: Annotation) => {
+      if (categoryId && a.categoryId === categoryId) return false;
+      // Writing alt text replaces a decorative marker
+      if (field === 'alt_text' && isDecorativeAnnotation(a)) return false;
+      // When no category ID available, match by bold prefix text
+      if (!categoryId) {
+        const annText = a.labelMarkdown || a.label || '';
+        if (annText.startsWith(`**${config.annotationPrefix}**`)) return false;
+      }
+      return true;
+    })
+    .map(sanitizeAnnotation);
+
+  // Create the new annotation (with categoryId when available)
+  const newAnnotation: Annotation = {
+    labelMarkdown: `**${config.annotationPrefix}**\n${text}`,
+    properties: [{ type: 'fills' }],
+  };
+  if (categoryId) {
+    (newAnnotation as any).categoryId = categoryId;
+  }
+
+  // Write back with the new annotation appended
+  (node as any).annotations = [...preserved, newAnnotation];
+  if (field === 'alt_text') {
+    node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+  }
+  writeFieldMetadata(node, { ...source, field, description: text }, settings, kind);
+}
+
+/**
+ * Write multiple field annotations to a node at once.
+ */
+async function writeMultipleFieldAnnotations(
+  node: SceneNode,
+  fields: FieldWrite[],
+  categoryIds: Map<FieldType, string | undefined>,
+  settings: PluginSettings
+): Promise<void> {
+  if (!('annotations' in node)) {
+    throw new Error(`Node "${node.name}" does not support annotations.`);
+  }
+
+  // Collect all category IDs and prefixes we're about to write
+  const writingCategoryIds = new Set<string>();
+  const writingPrefixes = new Set<string>();
+  for (const f of fields) {
+    const catId = categoryIds.get(f.field);
+    if (catId) writingCategoryIds.add(catId);
+    writingPrefixes.add(`**${getFieldConfig(f.field).annotationPrefix}**`);
+  }
+  const writingAltText = fields.some(f => f.field === 'alt_text');
+  if (writingAltText) {
+    writingPrefixes.add(`**${DECORATIVE_PREFIX}**`);
+  }
+
+  // Read existing annotations and filter out ones we're replacing
+  const existing: Annotation[] = [...((node as any).annotations || [])];
+  const preserved = existing
+    .filter((a: Annotation) => {
+      if (a.categoryId && writingCategoryIds.has(a.categoryId)) return false;
+      // When no category ID on the annotation, match by bold prefix text
+      if (!a.categoryId) {
+        const annText = a.labelMarkdown || a.label || '';
+        for (const prefix of writingPrefixes) {
+          if (annText.startsWith(prefix)) return false;
+        }
+      }
+      return true;
+    })
+    .map(sanitizeAnnotation);
+
+  // Build new annotations (with categoryId when available)
+  const newAnnotations: Annotation[] = fields.map(f => {
+    const config = getFieldConfig(f.field);
+    const categoryId = categoryIds.get(f.field);
+    const ann: Record<string, any> = {
+      labelMarkdown: `**${config.annotationPrefix}**\n${f.description}`,
+      properties: [{ type: 'fills' as const }],
+    };
+    if (categoryId) {
+      ann.categoryId = categoryId;
+    }
+    return ann as Annotation;
+  });
+
+  (node as any).annotations = [...preserved, ...newAnnotations];
+  if (writingAltText) {
+    node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+  }
+  for (const f of fields) {
+    writeFieldMetadata(node, f, settings);
+  }
+}
+
+/**
+ * Mark a node as decorative: replace its alt text with the decorative marker
+ * annotation and set the decorative plugin data.
+ */
+async function writeDecorativeAnnotation(
+  node: SceneNode,
+  categoryIds: Map<FieldType, string | undefined>
+): Promise<void> {
+  if (!('annotations' in node)) {
+    throw new Error(`Node "${node.name}" does not support annotations.`);
+  }
+
+  const categoryId = categoryIds.get('alt_text');
+  const existing: Annotation[] = [...((node as any).annotations || [])];
+  const preserved = existing
+    .filter((a: Annotation) => !annotationMatchesField(a, 'alt_text', categoryId))
+    .map(sanitizeAnnotation);
+
+  const ann: Record<string, any> = {
+    labelMarkdown: `**${DECORATIVE_PREFIX}**\n${DECORATIVE_TEXT}`,
+    properties: [{ type: 'fills' as const }],
+  };
+  if (categoryId) {
+    ann.categoryId = categoryId;
+  }
+
+  (node as any).annotations = [...preserved, ann as Annotation];
+  node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, 'true');
+  clearFieldMetadata(node, 'alt_text');
+}
+
+/**
+ * Store the machine-readable record of an applied field next to its annotation, and
+ * add the text to the field's version history. Text without a backend is imported
+ * unless a kind is given.
+ */
+function writeFieldMetadata(node: SceneNode, write: FieldWrite, settings: PluginSettings, kind?: FieldVersionKind): void {
+  const topPaint = getTopImagePaint(node);
+  const metadata: FieldMetadata = {
+    field: write.field,
+    text: write.description,
+    backend: write.backend || null,
+    language: fieldLanguage(write.field, settings),
+    promptHash: write.promptHash || null,
+    imageHash: (topPaint && topPaint.imageHash) || null,
+    appliedAt: new Date().toISOString(),
+    appliedBy: figma.currentUser ? figma.currentUser.name : null,
+  };
+  const versionKind = kind || (write.edited ? 'edited' : write.backend ? 'generated' : 'imported');
+  if (versionKind === 'edited') metadata.edited = true;
+  node.setSharedPluginData(SHARED_DATA_NAMESPACE, write.field, JSON.stringify(metadata));
+  appendFieldVersion(node, write.field, {
+    text: write.description,
+    backend: metadata.backend,
+    kind: versionKind,
+    user: metadata.appliedBy,
+    at: metadata.appliedAt,
+  });
+}
+
+/**
+ * Return a field's versions on a node, oldest first.
+ */
+function readFieldVersions(node: SceneNode, field: FieldType): FieldVersion[] {
+  const raw = node.getPluginData(VERSIONS_PLUGIN_DATA_PREFIX + field);
+  if (!raw) return [];
+  try {
+    const versions = JSON.parse(raw);
+    return Array.isArray(versions) ? versions : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add a version to a field's history on the node, keeping the last MAX_FIELD_VERSIONS.
+ * Writing the same text again adds no version.
+ */
+function appendFieldVersion(node: SceneNode, field: FieldType, version: FieldVersion): void {
+  const versions = readFieldVersions(node, field);
+  const last = versions[versions.length - 1];
+  if (last && last.text === version.text) return;
+  versions.push(version);
+  node.setPluginData(VERSIONS_PLUGIN_DATA_PREFIX + field, JSON.stringify(versions.slice(-MAX_FIELD_VERSIONS)));
+}
+
+function readFieldMetadata(node: SceneNode, field: FieldType): FieldMetadata | null {
+  const raw = node.getSharedPluginData(SHARED_DATA_NAMESPACE, field);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw) as FieldMetadata;
+  } catch {
+    return null;
+  }
+}
+
+function clearFieldMetadata(node: SceneNode, field: FieldType): void {
+  node.setSharedPluginData(SHARED_DATA_NAMESPACE, field, '');
+}
+
+/**
+ * Fields whose annotation was applied to a different image than the node shows now,
+ * i.e. the image fill was swapped since. Only known fields that still have an
+ * annotation count.
+ */
+function getStaleFields(node: SceneNode, categoryIds: Map<FieldType, string | undefined>): FieldType[] {
+  const topPaint = getTopImagePaint(node);
+  const currentHash = (topPaint && topPaint.imageHash) || null;
+  const stale: FieldType[] = [];
+  for (const field of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+    if (!findFieldConfig(field)) continue;
+    const metadata = readFieldMetadata(node, field);
+    if (metadata && metadata.imageHash && metadata.imageHash !== currentHash) stale.push(field);
+  }
+  if (stale.length === 0) return stale;
+  const annotated = getAnnotatedFields(node, stale, categoryIds);
+  return stale.filter(f => annotated.has(f));
+}
+
+/**
+ * Resolve the IDs of layers linked to a result (same image) to nodes,
+ * skipping any that were deleted since generation.
+ */
+async function resolveLinkedNodes(nodeIds: string[] | undefined): Promise<SceneNode[]> {
+  const nodes: SceneNode[] = [];
+  for (const id of nodeIds || []) {
+    const node = await figma.getNodeByIdAsync(id) as SceneNode | null;
+    if (node) nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * The fields of an apply that go to one layer of a group: fields limited to some
+ * layers (FieldWrite.nodeIds) skip the others.
+ */
+function writesForTarget(writes: FieldWrite[], target: SceneNode): FieldWrite[] {
+  return writes.filter(w => !w.nodeIds || w.nodeIds.includes(target.id));
+}
+
+/** Who an apply wrote to, for notifications: '"Hero" and 2 linked layers'. */
+function appliedToText(node: SceneNode, targets: SceneNode[]): string {
+  const linked = targets.filter(t => t !== node).length;
+  const linkedText = linked > 0 ? `${linked} linked layer${linked !== 1 ? 's' : ''}` : '';
+  if (!targets.includes(node)) return linkedText;
+  return `"${node.name}"${linkedText ? ` and ${linkedText}` : ''}`;
+}
+
+/**
+ * Set relaunch data on a node so users can re-run the plugin.
+ */
+function setRelaunchOnNode(node: SceneNode): void {
+  if ('setRelaunchData' in node) {
+    (node as any).setRelaunchData({ open: '' });
+  }
+}
+
+// ============================================================================
+// Annotation History
+// ============================================================================
+
+/**
+ * Key an annotation for the history log: its field, or its category and text for
+ * annotations that are not a Visionati field.
+ */
+function historyKey(ann: Annotation, categoryIds: Map<FieldType, string | undefined>): string {
+  return getAnnotationField(ann, categoryIds) || `other:${ann.categoryId || ''}:${annotationText(ann)}`;
+}
+
+/**
+ * The text of an annotation without its bold prefix.
+ */
+function annotationText(ann: Annotation): string {
+  return stripAnnotationPrefix(ann.labelMarkdown || ann.label || '');
+}
+
+function snapshotAnnotations(node: SceneNode, categoryIds: Map<FieldType, string | undefined>): AnnotationSnapshot {
+  const annotations = new Map<string, Annotation>();
+  const existing: ReadonlyArray<Annotation> = 'annotations' in node ? (node as any).annotations || [] : [];
+  for (const ann of existing) {
+    annotations.set(historyKey(ann, categoryIds), sanitizeAnnotation(ann));
+  }
+  const metadata = new Map<string, string>();
+  for (const key of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+    metadata.set(key, node.getSharedPluginData(SHARED_DATA_NAMESPACE, key));
+  }
+  return { annotations, metadata, decorative: node.getPluginData(DECORATIVE_PLUGIN_DATA_KEY) };
+}
+
+/**
+ * Start a batch of history entries. Category IDs are looked up once, to key the
+ * annotations before and after each write.
+ */
+async function startHistoryBatch(action: string): Promise<HistoryBatch> {
+  return { id: nextHistoryId++, action, categoryIds: await findCategoryIds() };
+}
+
+/**
+ * Run a write on a node and log every annotation it added, changed or removed.
+ * Changes are logged even when the write fails partway.
+ */
+async function recordWrite(batch: HistoryBatch, node: SceneNode, write: () => Promise<void> | void): Promise<void> {
+  const before = snapshotAnnotations(node, batch.categoryIds);
+  try {
+    await write();
+  } finally {
+    logAnnotationChanges(batch, node, before);
+  }
+}
+
+function logAnnotationChanges(batch: HistoryBatch, node: SceneNode, before: AnnotationSnapshot): void {
+  const after = snapshotAnnotations(node, batch.categoryIds);
+  const keys = new Set([...before.annotations.keys(), ...after.annotations.keys()]);
+  for (const key of keys) {
+    const oldAnnotation = before.annotations.get(key) || null;
+    const newAnnotation = after.annotations.get(key) || null;
+    const oldText = oldAnnotation ? annotationText(oldAnnotation) : null;
+    const newText = newAnnotation ? annotationText(newAnnotation) : null;
+    if (oldText === newText) continue;
+    const config = findFieldConfig(key);
+    annotationHistory.push({
+      id: nextHistoryId++,
+      batchId: batch.id,
+      action: batch.action,
+      at: Date.now(),
+      nodeId: node.id,
+      nodeName: node.name,
+      key,
+      label: config ? config.categoryLabel : 'Annotation',
+      oldText,
+      newText,
+      reverted: false,
+      previous: { annotation: oldAnnotation, metadata: before.metadata.get(key) || '', decorative: before.decorative },
+    });
+  }
+  trimHistory(batch);
+}
+
+/**
+ * Drop the oldest batches while the log is over HISTORY_MAX_ENTRIES. Batches go
+ * whole, so "Revert all" never undoes only part of one; the current batch is kept
+ * even when it alone is over the cap.
+ */
+function trimHistory(current: HistoryBatch): void {
+  while (annotationHistory.length > HISTORY_MAX_ENTRIES && annotationHistory[0].batchId !== current.id) {
+    const oldest = annotationHistory[0].batchId;
+    for (let i = annotationHistory.length - 1; i >= 0; i--) {
+      if (annotationHistory[i].batchId === oldest) annotationHistory.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Put back what history entries replaced. Entries are reverted newest first, so
+ * several changes to one field unwind in order. An entry whose annotation changed
+ * again since is skipped. The revert is logged as its own batch.
+ */
+async function revertHistoryEntries(entryIds: number[]): Promise<{ reverted: number; skipped: number }> {
+  const batch = await startHistoryBatch('Revert');
+  const entries = annotationHistory
+    .filter(e => entryIds.includes(e.id) && !e.reverted)
+    .sort((a, b) => b.id - a.id);
+  let reverted = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    try {
+      const node = await figma.getNodeByIdAsync(entry.nodeId) as SceneNode | null;
+      if (!node || !('annotations' in node)) {
+        skipped++;
+        continue;
+      }
+      const current = snapshotAnnotations(node, batch.categoryIds).annotations.get(entry.key);
+      if ((current ? annotationText(current) : null) !== entry.newText) {
+        skipped++;
+        continue;
+      }
+      await recordWrite(batch, node, () => {
+        const existing: Annotation[] = [...((node as any).annotations || [])];
+        const kept = existing
+          .filter((a: Annotation) => historyKey(a, batch.categoryIds) !== entry.key)
+          .map(sanitizeAnnotation);
+        (node as any).annotations = entry.previous.annotation ? [...kept, entry.previous.annotation] : kept;
+        if (findFieldConfig(entry.key)) {
+          node.setSharedPluginData(SHARED_DATA_NAMESPACE, entry.key, entry.previous.metadata);
+          const metadata = readFieldMetadata(node, entry.key);
+          if (entry.oldText !== null) {
+            appendFieldVersion(node, entry.key, {
+              text: entry.oldText,
+              backend: metadata ? metadata.backend : null,
+              kind: 'restored',
+              user: figma.currentUser ? figma.currentUser.name : null,
+              at: new Date().toISOString(),
+            });
+          }
+        }
+        if (entry.key === 'alt_text') {
+          node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, entry.previous.decorative);
+        }
+      });
+      entry.reverted = true;
+      reverted++;
+    } catch (err) {
+      console.warn(`[Visionati] Failed to revert ${entry.label} on "${entry.nodeName}":`, err);
+      skipped++;
+    }
+  }
+  return { reverted, skipped };
+}
+
+/**
+ * Send the history log to the UI, without the state kept for reverts.
+ */
+function sendHistory(): void {
+  sendToUI({
+    type: 'history',
+    entries: annotationHistory.map(({ previous, ...entry }) => entry),
+  });
+}
+
+// ============================================================================
+// Annotation Export
+// ============================================================================
+
+/**
+ * Names of a node's ancestors below the page, outermost first, e.g. "Home / Hero / Card".
+ */
+function getNodeFramePath(node: SceneNode): string {
+  const names: string[] = [];
+  let parent = node.parent;
+  while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+    names.unshift(parent.name);
+    parent = parent.parent;
+  }
+  return names.join(' / ');
+}
+
+/**
+ * Collect every field annotation on the given pages as rows: built-in and custom
+ * fields and their language variants. Pages are loaded on demand because the
+ * manifest uses dynamic page loading.
+ */
+async function collectAnnotationRows(pages: ReadonlyArray<PageNode>): Promise<AnnotationExportRow[]> {
+  const categoryIds = await findCategoryIds();
+  const rows: AnnotationExportRow[] = [];
+
+  for (const page of pages) {
+    await page.loadAsync();
+    const nodes = page.findAll(n => 'annotations' in n && ((n as any).annotations || []).length > 0);
+
+    for (const node of nodes) {
+      const annotations = (node as any).annotations as ReadonlyArray<Annotation>;
+      for (const ann of annotations) {
+        const field = getAnnotationField(ann, categoryIds);
+        if (!field) continue;
+        rows.push({
+          nodeId: node.id,
+          layerName: node.name,
+          page: page.name,
+          framePath: getNodeFramePath(node),
+          field,
+          text: isDecorativeAnnotation(ann) ? DECORATIVE_EXPORT_TEXT : stripAnnotationPrefix(ann.labelMarkdown || ann.label || ''),
+        });
+      }
+    }
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// Annotation Import
+// ============================================================================
 
-    const settled = await Promise.allSettled(pollPromises);
-    for (let i = 0; i < settled.length; i++) {
-      const outcome = settled[i];
-      const field = needsPolling[i].field;
-      const label = FIELD_CONFIGS[field].categoryLabel;
-      const chunkLabel = chunks.length > 1 ? ` (batch ${needsPolling[i].chunkIndex + 1})` : '';
-      if (outcome.status === 'fulfilled' && outcome.value.credits !== undefined) {
-        latestCredits = outcome.value.credits;
-      }
+/**
+ * True when imported alt text is the decorative marker written by exports.
+ */
+function isDecorativeImportText(field: FieldType, text: string): boolean {
+  return field === 'alt_text' && text.toLowerCase() === DECORATIVE_EXPORT_TEXT;
+}
 
-      if (outcome.status === 'fulfilled') {
-        chunkResponses.push(outcome.value);
-      } else {
-        const reason = outcome.reason;
-        errors.push({ field, message: `${label}${chunkLabel}: ${reason?.message || reason}` });
-      }
-    }
+/**
+ * Find the nodes an import row refers to. Node IDs resolve anywhere in the document;
+ * layer names (and optional frame paths) are matched on the row's page (loaded on
+ * demand), or on the current page when the row has none.
+ */
+async function findImportTargets(row: AnnotationImportRow): Promise<SceneNode[]> {
+  if (row.nodeId) {
+    const node = await figma.getNodeByIdAsync(row.nodeId);
+    return node && 'annotations' in node ? [node as SceneNode] : [];
   }
 
-  // Merge chunk responses into one response per field
-  for (const field of fields) {
-    const fieldChunks = chunkResponses.filter(cr => cr.field === field);
-    if (fieldChunks.length === 0) continue;
+  if (!row.layerName) return [];
+  const page = row.page ? figma.root.children.find(p => p.name === row.page) : figma.currentPage;
+  if (!page) return [];
+  await page.loadAsync();
+  return page.findAll(n =>
+    n.name === row.layerName &&
+    'annotations' in n &&
+    (!row.framePath || getNodeFramePath(n) === row.framePath)
+  );
+}
 
-    const mergedAssets: VisionatiAsset[] = [];
-    const mergedErrors: string[] = [];
-    for (const cr of fieldChunks) {
-      if (cr.response.all && cr.response.all.assets) {
-        mergedAssets.push(...cr.response.all.assets);
-      }
-      if (cr.response.all && cr.response.all.errors) {
-        mergedErrors.push(...cr.response.all.errors);
-      }
+/**
+ * Match import rows to nodes and diff each field against the node's current annotation.
+ * Rows that match no node, or more than one node by name, are returned as conflicts.
+ */
+async function buildImportPreview(rows: AnnotationImportRow[]): Promise<{
+  matches: Array<{ rowIndex: number; nodeId: string; nodeName: string; changes: ImportChange[] }>;
+  conflicts: Array<{ rowIndex: number; label: string; reason: string }>;
+}> {
+  const categoryIds = await findCategoryIds();
+  const matches: Array<{ rowIndex: number; nodeId: string; nodeName: string; changes: ImportChange[] }> = [];
+  const conflicts: Array<{ rowIndex: number; label: string; reason: string }> = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const label = row.nodeId || [row.page, row.framePath, row.layerName].filter(Boolean).join(' / ') || `Row ${i + 1}`;
+    const targets = await findImportTargets(row);
+
+    if (targets.length === 0) {
+      const reason = row.nodeId ? 'Node ID not found.'
+        : row.page ? `No layer with this name on page "${row.page}".`
+          : 'No layer with this name on the current page.';
+      conflicts.push({ rowIndex: i, label, reason });
+      continue;
+    }
+    if (targets.length > 1) {
+      conflicts.push({ rowIndex: i, label, reason: `Matches ${targets.length} layers. Add a node ID or frame path.` });
+      continue;
     }
 
-    responses.set(field, {
-      all: {
-        assets: mergedAssets,
-        errors: mergedErrors.length > 0 ? mergedErrors : undefined,
-      },
-    });
+    const node = targets[0];
+    const existing: ReadonlyArray<Annotation> = (node as any).annotations || [];
+    const changes: ImportChange[] = [];
+    for (const key of Object.keys(row.fields)) {
+      const field = canonicalFieldId(key);
+      const newText = (row.fields[key] || '').trim();
+      if (!field || !newText) continue;
+      const current = existing.find(a => annotationMatchesField(a, field, categoryIds.get(field)));
+      const oldText = !current ? ''
+        : isDecorativeAnnotation(current) ? DECORATIVE_EXPORT_TEXT
+          : stripAnnotationPrefix(current.labelMarkdown || current.label || '');
+      changes.push({ field, oldText, newText: isDecorativeImportText(field, newText) ? DECORATIVE_EXPORT_TEXT : newText });
+    }
+
+    if (changes.length === 0) {
+      const labels = getAllFields().map(f => getFieldConfig(f).categoryLabel);
+      const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+      conflicts.push({ rowIndex: i, label, reason: `No ${list} values.` });
+      continue;
+    }
+    matches.push({ rowIndex: i, nodeId: node.id, nodeName: node.name, changes });
   }
 
-  return { responses, errors, credits: latestCredits };
+  return { matches, conflicts };
 }
 
 // ============================================================================
-// Annotation Writing
+// Linting
 // ============================================================================
 
 /**
- * Sanitize an annotation to ensure it has only `label` OR `labelMarkdown`, not both.
- * Figma's validation rejects annotations with both set.
+ * Fill in defaults for missing or invalid lint settings (older storage, UI input).
  */
-function sanitizeAnnotation(ann: Annotation): Annotation {
-  const result: Record<string, any> = {};
-  // Prefer labelMarkdown over label
-  if (ann.labelMarkdown) {
-    result.labelMarkdown = ann.labelMarkdown;
-  } else if (ann.label) {
-    result.label = ann.label;
+function normalizeLintSettings(value: any): LintSettings {
+  const raw = value && typeof value === 'object' ? value : {};
+  const maxLength = Math.floor(Number(raw.maxLength));
+  const severity = { ...DEFAULT_LINT_SETTINGS.severity };
+  for (const rule of Object.keys(severity) as LintRule[]) {
+    const level = raw.severity && raw.severity[rule];
+    if (level === 'off' || level === 'warning' || level === 'error') severity[rule] = level;
   }
-  if (ann.properties) result.properties = ann.properties;
-  if (ann.categoryId) result.categoryId = ann.categoryId;
-  return result as Annotation;
+  return {
+    maxLength: maxLength > 0 ? maxLength : DEFAULT_LINT_SETTINGS.maxLength,
+    bannedOpenings: Array.isArray(raw.bannedOpenings)
+      ? raw.bannedOpenings.map((o: any) => String(o).trim()).filter((o: string) => o !== '')
+      : [...DEFAULT_LINT_SETTINGS.bannedOpenings],
+    severity,
+    blockApplyAllOnErrors: !!raw.blockApplyAllOnErrors,
+  };
 }
 
 /**
- * Write a single field's annotation to a node, preserving annotations from other fields
- * and any manually-added annotations.
+ * Text as compared for duplicates: case, spacing and trailing punctuation ignored.
  */
-async function writeFieldAnnotation(
-  node: SceneNode,
+function normalizeLintText(text: string): string {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?…]+$/, '').trim();
+}
+
+/**
+ * True when text is a file name or just repeats the layer name.
+ */
+function looksLikeFilename(text: string, layerName: string): boolean {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  if (FILENAME_PATTERN.test(trimmed) || CAMERA_NAME_PATTERN.test(trimmed)) return true;
+  const layer = normalizeLintText(layerName);
+  const bare = layer.replace(/\.[a-z0-9]{2,4}$/, '');
+  const normalized = normalizeLintText(text);
+  return layer !== '' && (normalized === layer || normalized === bare);
+}
+
+/**
+ * Check one field's text. Length and opening rules apply to alt text fields only;
+ * the other fields of the same image are compared for duplicates.
+ */
+function lintFieldText(
   field: FieldType,
   text: string,
-  categoryIds: Map<FieldType, string | undefined>
-): Promise<void> {
-  if (!('annotations' in node)) {
-    throw new Error(`Node "${node.name}" does not support annotations.`);
+  layerName: string,
+  siblings: Array<{ field: FieldType; description: string }>,
+  rules: LintSettings
+): LintIssue[] {
+  const issues: LintIssue[] = [];
+  const report = (rule: LintRule, message: string) => {
+    const severity = rules.severity[rule];
+    if (severity !== 'off') issues.push({ rule, severity, message });
+  };
+
+  if (text.trim() === '') {
+    report('empty', 'The text is empty.');
+    return issues;
   }
 
-  const categoryId = categoryIds.get(field);
-  const config = FIELD_CONFIGS[field];
+  const config = findFieldConfig(field);
+  if (config && config.role === 'alttext') {
+    if (text.length > rules.maxLength) {
+      report('max_length', `${text.length} characters, over the ${rules.maxLength} recommended for alt text.`);
+    }
+    const lower = text.trim().toLowerCase();
+    const opening = rules.bannedOpenings.find(o => {
+      const prefix = o.toLowerCase();
+      return lower.startsWith(prefix) && !/[a-z0-9]/.test(lower.charAt(prefix.length));
+    });
+    if (opening) {
+      const start = text.trim().slice(0, opening.length);
+      report('banned_opening', `Starts with "${start}". Screen readers already announce it is an image.`);
+    }
+  }
 
-  // Read existing annotations and filter out any with the same category or prefix
-  const existing: Annotation[] = [...((node as any).annotations || [])];
-  const preserved = existing
-    .filter((a: Annotation) => {
-      if (categoryId && a.categoryId === categoryId) return false;
-      // When no category ID available, match by bold prefix text
-      if (!categoryId) {
-        const annText = a.labelMarkdown || a.label || '';
-        if (annText.startsWith(`**${config.annotationPrefix}**`)) return false;
-      }
-      return true;
-    })
-    .map(sanitizeAnnotation);
+  const normalized = normalizeLintText(text);
+  const duplicate = siblings.find(s => s.field !== field && normalizeLintText(s.description) === normalized);
+  if (duplicate) {
+    const label = findFieldConfig(duplicate.field)?.categoryLabel || duplicate.field;
+    report('duplicate', `Same text as ${label}.`);
+  }
 
-  // Create the new annotation (with categoryId when available)
-  const newAnnotation: Annotation = {
-    labelMarkdown: `**${config.annotationPrefix}**\n${text}`,
-    properties: [{ type: 'fills' }],
-  };
-  if (categoryId) {
-    (newAnnotation as any).categoryId = categoryId;
+  if (looksLikeFilename(text, layerName)) {
+    report('filename', 'Looks like a file or layer name, not a description.');
   }
 
-  // Write back with the new annotation appended
-  (node as any).annotations = [...preserved, newAnnotation];
+  return issues;
 }
 
 /**
- * Write multiple field annotations to a node at once.
+ * Lint every field of one image, in order.
  */
-async function writeMultipleFieldAnnotations(
-  node: SceneNode,
+function lintNodeFields(
+  layerName: string,
   fields: Array<{ field: FieldType; description: string }>,
-  categoryIds: Map<FieldType, string | undefined>
-): Promise<void> {
-  if (!('annotations' in node)) {
-    throw new Error(`Node "${node.name}" does not support annotations.`);
-  }
-
-  // Collect all category IDs and prefixes we're about to write
-  const writingCategoryIds = new Set<string>();
-  const writingPrefixes = new Set<string>();
-  for (const f of fields) {
-    const catId = categoryIds.get(f.field);
-    if (catId) writingCategoryIds.add(catId);
-    writingPrefixes.add(`**${FIELD_CONFIGS[f.field].annotationPrefix}**`);
-  }
+  rules: LintSettings
+): LintIssue[][] {
+  return fields.map(f => lintFieldText(f.field, f.description, layerName, fields, rules));
+}
 
-  // Read existing annotations and filter out ones we're replacing
-  const existing: Annotation[] = [...((node as any).annotations || [])];
-  const preserved = existing
-    .filter((a: Annotation) => {
-      if (a.categoryId && writingCategoryIds.has(a.categoryId)) return false;
-      // When no category ID on the annotation, match by bold prefix text
-      if (!a.categoryId) {
-        const annText = a.labelMarkdown || a.label || '';
-        for (const prefix of writingPrefixes) {
-          if (annText.startsWith(prefix)) return false;
-        }
-      }
-      return true;
-    })
-    .map(sanitizeAnnotation);
+// ============================================================================
+// Accessibility Audit
+// ============================================================================
 
-  // Build new annotations (with categoryId when available)
-  const newAnnotations: Annotation[] = fields.map(f => {
-    const config = FIELD_CONFIGS[f.field];
-    const categoryId = categoryIds.get(f.field);
-    const ann: Record<string, any> = {
-      labelMarkdown: `**${config.annotationPrefix}**\n${f.description}`,
-      properties: [{ type: 'fills' as const }],
-    };
-    if (categoryId) {
-      ann.categoryId = categoryId;
-    }
-    return ann as Annotation;
-  });
+/**
+ * Name of the top-level frame (direct child of the page) that contains a node.
+ */
+function getTopLevelFrameName(node: SceneNode): string {
+  let current: BaseNode = node;
+  while (current.parent && current.parent.type !== 'PAGE' && current.parent.type !== 'DOCUMENT') {
+    current = current.parent;
+  }
+  return current.name;
+}
 
-  (node as any).annotations = [...preserved, ...newAnnotations];
+/**
+ * Classify an image node's alt text state.
+ */
+function classifyAltText(
+  node: SceneNode,
+  categoryIds: Map<FieldType, string | undefined>
+): AltTextStatus {
+  if (isNodeDecorative(node)) return 'decorative';
+  const annotated = getAnnotatedFields(node, ['alt_text'], categoryIds);
+  if (!annotated.has('alt_text')) return 'missing';
+  return getStaleFields(node, categoryIds).includes('alt_text') ? 'stale' : 'has-alt';
 }
 
 /**
- * Set relaunch data on a node so users can re-run the plugin.
+ * Classify every image on the given pages for the audit report.
  */
-function setRelaunchOnNode(node: SceneNode): void {
-  if ('setRelaunchData' in node) {
-    (node as any).setRelaunchData({ open: '' });
+async function buildAuditReport(pages: ReadonlyArray<PageNode>): Promise<AuditEntry[]> {
+  const categoryIds = await findCategoryIds();
+  const entries: AuditEntry[] = [];
+
+  for (const page of pages) {
+    await page.loadAsync();
+    for (const node of getImageNodes(page.children)) {
+      entries.push({
+        nodeId: node.id,
+        nodeName: node.name,
+        page: page.name,
+        frame: getTopLevelFrameName(node),
+        status: classifyAltText(node, categoryIds),
+      });
+    }
   }
+
+  return entries;
 }
 
 // ============================================================================
@@ -819,6 +3147,43 @@ function sleep(ms: number): Promise<void> {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Thrown to unwind a generation run that was cancelled from the UI.
+ * Never surfaced to the user as an error.
+ */
+class GenerationCancelledError extends Error {
+  constructor() {
+    super('Generation cancelled.');
+    this.name = 'GenerationCancelledError';
+  }
+}
+
+/**
+ * FNV-1a hash of a string's UTF-16 code units, as a hex string.
+ */
+function hashString(value: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Identifies what a field was generated with: the filled prompt, or the role when
+ * the field has no prompt.
+ */
+function promptHash(field: FieldType, prompt: string): string {
+  return hashString(prompt || `role:${getFieldConfig(field).role}`);
+}
+
+function throwIfCancelled(run: GenerationRun): void {
+  if (run.cancelled) {
+    throw new GenerationCancelledError();
+  }
+}
+
 /**
  * Match an asset name from the API response back to the original node ID we sent.
  * The API transforms file_name values into server temp paths, e.g.:
@@ -850,11 +3215,17 @@ function matchAssetToNodeId(assetName: string, nodeIds: string[]): string | null
 
 /**
  * Main flow: find images, export, call API for each field, poll, send results to UI.
+ * The run can be cancelled via a cancel-generate message; whatever results already
+ * came back are still shown.
  */
 async function generateForFields(
-  source: 'selection' | 'page',
-  fields: FieldType[]
+  source: GenerateSource,
+  fields: FieldType[],
+  options: GenerateOptions = DEFAULT_GENERATE_OPTIONS
 ): Promise<void> {
+  const run: GenerationRun = { cancelled: false };
+  activeRun = run;
+
   try {
     // Load settings
     const settings = await loadSettings();
@@ -867,7 +3238,22 @@ async function generateForFields(
       return;
     }
 
-    if (fields.length === 0) {
+    // "Retry failed" requests the fields of the failed pairs, already in their languages
+    const retrying = options.retry.length > 0;
+    if (retrying) {
+      fields = [...new Set(options.retry.map(r => r.field))];
+    }
+
+    const unknownFields = fields.filter(f => !findFieldConfig(f));
+    if (unknownFields.length > 0) {
+      sendToUI({
+        type: 'error',
+        message: `Unknown field${unknownFields.length !== 1 ? 's' : ''}: ${unknownFields.join(', ')}. It may have been removed in Settings.`,
+      });
+      return;
+    }
+
+    if (fields.length === 0 && !options.staleOnly) {
       sendToUI({
         type: 'error',
         message: 'No fields selected. Choose at least one field (Alt Text, Caption, or Description).',
@@ -875,52 +3261,227 @@ async function generateForFields(
       return;
     }
 
+    const compareBackends = options.compareBackends || [];
+    if (compareBackends.length === 1 || compareBackends.length > MAX_COMPARE_BACKENDS) {
+      sendToUI({
+        type: 'error',
+        message: `Choose 2 to ${MAX_COMPARE_BACKENDS} models to compare.`,
+      });
+      return;
+    }
+    const comparing = compareBackends.length > 0;
+    const contextLimit = options.contextLimit > 0 ? Math.floor(options.contextLimit) : DEFAULT_CONTEXT_LIMIT;
+
+    // Each extra language is requested as a language variant of every field
+    const languages = [settings.language, ...options.languages.filter(l => l !== settings.language)];
+    if (!options.staleOnly && !retrying) {
+      fields = languages.flatMap(language => fields.map(f => localizedField(f, language, settings)));
+    }
+
     // Find image nodes
     sendToUI({ type: 'status', message: 'Finding images...' });
 
-    let sourceNodes: ReadonlyArray<SceneNode>;
-    if (source === 'selection') {
-      sourceNodes = figma.currentPage.selection;
-      if (sourceNodes.length === 0) {
+    const filters = normalizeScanFilters(options.filters);
+    const scanStats: ScanStats = { filtered: 0 };
+    let allImageNodes: SceneNode[];
+    if (retrying) {
+      // Retried nodes are looked up by ID, wherever the selection is now
+      const retryIds = new Set(options.retry.flatMap(r => r.nodeIds));
+      const found: SceneNode[] = [];
+      for (const id of retryIds) {
+        const node = await figma.getNodeByIdAsync(id) as SceneNode | null;
+        if (node && !node.removed && isImageNode(node)) found.push(node);
+      }
+      if (found.length === 0) {
+        sendToUI({
+          type: 'error',
+          message: 'The images that failed are no longer in the document.',
+        });
+        return;
+      }
+      allImageNodes = getImageNodes(found);
+    } else if (source === 'selection') {
+      const selection = figma.currentPage.selection;
+      if (selection.length === 0) {
         sendToUI({
           type: 'error',
           message: 'No layers selected. Select one or more layers containing images.',
         });
         return;
       }
+      allImageNodes = getScanImageNodes('selection', filters, scanStats);
+      if (allImageNodes.length === 0 && options.describeSelection) {
+        // "Describe anyway": the selected layers themselves, for this run only
+        allImageNodes = selection.filter(canTreatAsImage);
+      }
+    } else if (source === 'document') {
+      allImageNodes = await getDocumentImageNodes(filters, scanStats, run);
     } else {
-      sourceNodes = figma.currentPage.children;
+      allImageNodes = getScanImageNodes('page', filters, scanStats);
     }
 
-    const allImageNodes = getImageNodes(sourceNodes);
-
     if (allImageNodes.length === 0) {
+      // Layers without image fills can still be described: let the UI offer it
+      const describable = source === 'selection' && scanStats.filtered === 0
+        ? figma.currentPage.selection.filter(canTreatAsImage)
+        : [];
+      if (describable.length > 0) {
+        sendToUI({
+          type: 'no-images-in-selection',
+          nodes: describable.map(n => ({ nodeId: n.id, nodeName: n.name })),
+        });
+        return;
+      }
+      const where = source === 'selection' ? 'in the selection' : source === 'document' ? 'in this document' : 'on this page';
       sendToUI({
         type: 'error',
-        message:
-          source === 'selection'
-            ? 'No images found in the selection. Select layers that contain images.'
-            : 'No images found on this page.',
+        message: scanStats.filtered > 0
+          ? `No images ${where} match the scan filters (${scanStats.filtered} skipped).`
+          : source === 'selection'
+            ? 'No images found in the selection. Select layers that contain images, or frame a group to describe it as one.'
+            : `No images found ${where}.`,
       });
       return;
     }
+    if (scanStats.filtered > 0) {
+      sendToUI({
+        type: 'status',
+        message: `Skipping ${scanStats.filtered} image${scanStats.filtered !== 1 ? 's' : ''} excluded by the scan filters.`,
+      });
+    }
+
+    // Component mode: images inside instances are described on the main component
+    // layer they come from, which the instances inherit
+    let componentInfo = new Map<string, ComponentInfo>();
+    if (options.components) {
+      sendToUI({ type: 'status', message: 'Resolving components...' });
+      const resolved = await resolveComponentTargets(allImageNodes, run);
+      const inherited = allImageNodes.length - resolved.nodes.length;
+      allImageNodes = resolved.nodes;
+      componentInfo = resolved.components;
+      if (inherited > 0) {
+        sendToUI({
+          type: 'status',
+          message: `${inherited} instance image${inherited !== 1 ? 's' : ''} will inherit from their main component.`,
+        });
+      }
+    } else {
+      const instanceCount = allImageNodes.filter(n => getOutermostInstance(n)).length;
+      if (instanceCount > 0) {
+        sendToUI({
+          type: 'status',
+          message: `${instanceCount} image${instanceCount !== 1 ? 's are' : ' is'} inside component instances. Turn on "Annotate main components" to describe each component once.`,
+        });
+      }
+    }
 
-    const imageNodes = allImageNodes;
+    // Stale annotations describe an image that has since been swapped
+    const existingCategoryIds = await findCategoryIds();
+    const staleByNode = new Map<string, FieldType[]>();
+    for (const node of allImageNodes) {
+      if (isNodeDecorative(node)) continue;
+      const stale = getStaleFields(node, existingCategoryIds);
+      if (stale.length > 0) staleByNode.set(node.id, stale);
+    }
+    if (options.staleOnly) {
+      // "Regenerate stale" requests exactly the stale fields, in whatever language they are
+      fields = [...new Set([...staleByNode.values()].flat())];
+      if (fields.length === 0) {
+        sendToUI({ type: 'generation-skipped', message: 'No stale annotations found.' });
+        return;
+      }
+    } else if (staleByNode.size > 0) {
+      sendToUI({
+        type: 'status',
+        message: `${staleByNode.size} image${staleByNode.size !== 1 ? 's have' : ' has'} stale annotations from a replaced image.`,
+      });
+    }
 
-    const fieldLabels = fields.map(f => FIELD_CONFIGS[f].categoryLabel).join(', ');
+    const fieldLabels = fields.map(f => getFieldConfig(f).categoryLabel).join(', ');
     sendToUI({
       type: 'status',
-      message: `Found ${imageNodes.length} image(s). Generating: ${fieldLabels}`,
+      message: `Found ${allImageNodes.length} image(s). Generating: ${fieldLabels}`,
     });
 
+    // Decorative images are done by definition and never sent to the API
+    const candidateNodes = allImageNodes.filter(n => !isNodeDecorative(n));
+    const decorativeCount = allImageNodes.length - candidateNodes.length;
+    if (candidateNodes.length === 0) {
+      sendToUI({
+        type: 'generation-skipped',
+        message: `All ${allImageNodes.length} image${allImageNodes.length !== 1 ? 's are' : ' is'} marked decorative. Nothing to generate.`,
+      });
+      return;
+    }
+    if (decorativeCount > 0) {
+      sendToUI({
+        type: 'status',
+        message: `Skipping ${decorativeCount} decorative image${decorativeCount !== 1 ? 's' : ''}.`,
+      });
+    }
+
     // Ensure annotation categories exist
     sendToUI({ type: 'status', message: 'Setting up annotation categories...' });
     const categoryIds = await ensureCategories(fields);
 
+    // In "only missing" mode, request per node only the fields it has no annotation for.
+    // Stale annotations count as missing. "Regenerate stale" requests only those, and
+    // "Retry failed" only the pairs that failed.
+    let imageNodes = candidateNodes;
+    let requestedFields = fields;
+    let fieldNodeIds: Map<FieldType, Set<string>> | undefined;
+    let skippedImages = 0;
+    let skippedFields = 0;
+
+    if (options.onlyMissing || options.staleOnly || retrying) {
+      fieldNodeIds = new Map();
+      for (const field of fields) {
+        fieldNodeIds.set(field, new Set());
+      }
+
+      imageNodes = [];
+      for (const node of candidateNodes) {
+        const stale = staleByNode.get(node.id) || [];
+        let needed: FieldType[];
+        if (retrying) {
+          needed = fields.filter(f => options.retry.some(r => r.field === f && r.nodeIds.includes(node.id)));
+        } else if (options.staleOnly) {
+          needed = stale;
+        } else {
+          const annotated = getAnnotatedFields(node, fields, categoryIds);
+          needed = fields.filter(f => !annotated.has(f) || stale.includes(f));
+          skippedFields += fields.length - needed.length;
+          if (needed.length === 0) skippedImages++;
+        }
+        if (needed.length === 0) continue;
+        imageNodes.push(node);
+        for (const field of needed) {
+          fieldNodeIds.get(field)!.add(node.id);
+        }
+      }
+
+      requestedFields = fields.filter(f => fieldNodeIds!.get(f)!.size > 0);
+
+      if (imageNodes.length === 0) {
+        sendToUI({
+          type: 'generation-skipped',
+          message: `All ${candidateNodes.length} image${candidateNodes.length !== 1 ? 's' : ''} already have ${fieldLabels}. Nothing to generate.`,
+        });
+        return;
+      }
+
+      if (skippedFields > 0) {
+        sendToUI({
+          type: 'status',
+          message: `Skipping ${skippedFields} existing field${skippedFields !== 1 ? 's' : ''} (${skippedImages} image${skippedImages !== 1 ? 's' : ''} fully annotated).`,
+        });
+      }
+    }
+
     // Send category info to UI for display
     const categoryInfo: Record<string, { label: string; color: string }> = {};
     for (const field of fields) {
-      const config = FIELD_CONFIGS[field];
+      const config = getFieldConfig(field);
       categoryInfo[field] = { label: config.categoryLabel, color: config.categoryColor };
     }
     sendToUI({ type: 'categories', categories: categoryInfo });
@@ -931,12 +3492,41 @@ async function generateForFields(
       nodeMap.set(node.id, node);
     }
 
-    // Export images as PNG bytes
-    const base64Images: string[] = [];
+    // Collect the images to send. They are exported lazily, chunk by chunk, in
+    // submitAndPollAllFields; only thumbnails are exported here.
     const fileNames: string[] = [];
     const nodeInfos: ImageNodeInfo[] = [];
+    const imageKeys = new Map<string, string>();
+    // Raw mode: the original image (and its size) of each representative that has one
+    const rawImages = new Map<string, { image: Image; width: number; height: number }>();
+    // Prompt placeholders are filled from the group's representative layer
+    const promptVars = new Map<string, PromptVariables>();
+
+    // Layers showing the same image are sent once. They are grouped by the hash of
+    // their top image fill. Layers without one (treated as image) would have to be
+    // exported to compare, so each is its own group and isn't served from the cache.
+    // The first node of a group is its representative; the rest are linked to it.
+    const groupRepIds = new Map<string, string>();
+    const linkedNodesByRep = new Map<string, LinkedNode[]>();
+    // What each layer needs itself, before representatives take on their group's fields
+    const neededNodeIds = fieldNodeIds && new Map([...fieldNodeIds].map(([field, ids]) => [field, new Set(ids)]));
+    const linkToGroup = (groupKey: string, node: SceneNode): boolean => {
+      const repId = groupRepIds.get(groupKey);
+      if (!repId) return false;
+      linkedNodesByRep.get(repId)!.push({ nodeId: node.id, nodeName: node.name });
+      // The representative must be requested for every field any member needs
+      if (fieldNodeIds) {
+        for (const ids of fieldNodeIds.values()) {
+          if (ids.has(node.id)) ids.add(repId);
+        }
+      }
+      return true;
+    };
 
     for (let i = 0; i < imageNodes.length; i++) {
+      // Skip the remaining exports once cancelled
+      if (run.cancelled) break;
+
       const node = imageNodes[i];
 
       sendToUI({
@@ -946,12 +3536,25 @@ async function generateForFields(
         phase: 'exporting',
       });
 
+      const topPaint = getTopImagePaint(node);
+      const imageKey = topPaint && topPaint.imageHash ? `hash:${topPaint.imageHash}` : null;
+      if (imageKey && linkToGroup(imageKey, node)) continue;
+
       try {
-        const bytes = await exportNodeAsPng(node);
-        const base64 = figma.base64Encode(bytes);
-        base64Images.push(base64);
+        if (imageKey) {
+          groupRepIds.set(imageKey, node.id);
+          imageKeys.set(node.id, imageKey);
+        }
+        linkedNodesByRep.set(node.id, []);
         fileNames.push(node.id);
 
+        const rawImage = options.rawImage ? await getRawImage(node) : null;
+        if (rawImage) {
+          rawImages.set(node.id, rawImage);
+          // Text for the original differs from text for a cropped or tinted render
+          imageKeys.set(node.id, `raw:${rawImage.image.hash}`);
+        }
+
         // Export a small thumbnail for the UI preview
         let thumbnail = '';
         try {
@@ -965,6 +3568,11 @@ async function generateForFields(
           nodeName: node.name,
           thumbnail: thumbnail,
         });
+        const vars = getPromptVariables(node, settings);
+        if (options.context) {
+          vars.context = collectImageContext(node, contextLimit);
+        }
+        promptVars.set(node.id, vars);
       } catch (err) {
         console.error(`Failed to export node "${node.name}" (${node.id}):`, err);
         sendToUI({
@@ -974,7 +3582,12 @@ async function generateForFields(
       }
     }
 
-    if (base64Images.length === 0) {
+    if (run.cancelled) {
+      sendToUI({ type: 'generation-cancelled' });
+      return;
+    }
+
+    if (fileNames.length === 0) {
       sendToUI({
         type: 'error',
         message: 'Failed to export any images. Please try again.',
@@ -982,23 +3595,138 @@ async function generateForFields(
       return;
     }
 
-    // Submit API calls for all fields and poll for results
-    const { responses: fieldResponses, errors: fieldErrors, credits: remainingCredits } = await submitAndPollAllFields(
-      settings.apiKey,
-      base64Images,
-      fileNames,
-      settings,
-      fields
-    );
+    if (fileNames.length < imageNodes.length) {
+      sendToUI({
+        type: 'status',
+        message: `${fileNames.length} unique image${fileNames.length !== 1 ? 's' : ''} across ${imageNodes.length} layers.`,
+      });
+    }
+
+    // Export an image when its first chunk is sent. A failed export skips the image.
+    // In raw mode, a node falls back to the rendered export if its original can't be sent.
+    const backends = comparing ? compareBackends : [settings.backend];
+    const exportFailures = new Set<string>();
+    const exportImage = async (nodeId: string): Promise<string | null> => {
+      const node = nodeMap.get(nodeId)!;
+      try {
+        const raw = rawImages.get(nodeId);
+        const rawBytes = raw
+          ? await exportRawImageForUpload(raw.image, raw, settings.imageExport, backends).catch(err => {
+            console.warn(`[Visionati] Could not send the original of "${node.name}", sending the rendered layer:`, err);
+            return null;
+          })
+          : null;
+        return figma.base64Encode(rawBytes || await exportNodeForUpload(node, settings.imageExport, backends));
+      } catch (err) {
+        console.error(`Failed to export node "${node.name}" (${node.id}):`, err);
+        exportFailures.add(nodeId);
+        sendToUI({
+          type: 'status',
+          message: `Warning: Failed to export "${node.name}", skipping.`,
+        });
+        return null;
+      }
+    };
+
+    // Serve cached results without an API call. Cache hits are removed from the
+    // per-field node sets, so only uncached image × field pairs are submitted.
+    // Compare runs always go to the API, since cached text comes from one backend.
+    const resultCache = await loadResultCache();
+    const cachedFieldsByNode = new Map<string, FieldResult[]>();
+    const apiFieldNodeIds = new Map<FieldType, Set<string>>();
+    let cachedCount = 0;
+    const now = Date.now();
+
+    for (const field of requestedFields) {
+      const nodeIdsForField = new Set<string>();
+      for (const info of nodeInfos) {
+        if (fieldNodeIds && !fieldNodeIds.get(field)!.has(info.nodeId)) continue;
+        const prompt = resolveFieldPrompt(field, settings, promptVars.get(info.nodeId)!);
+        const imageKey = imageKeys.get(info.nodeId);
+        const entry = comparing || !imageKey ? undefined : resultCache[resultCacheKey(imageKey, settings, field, prompt)];
+        if (entry) {
+          entry.usedAt = now;
+          const cachedFields = cachedFieldsByNode.get(info.nodeId) || [];
+          cachedFields.push({
+            field,
+            description: entry.description,
+            backend: entry.backend,
+            language: getFieldConfig(field).language,
+            cached: true,
+            promptHash: promptHash(field, prompt),
+          });
+          cachedFieldsByNode.set(info.nodeId, cachedFields);
+          cachedCount++;
+        } else {
+          nodeIdsForField.add(info.nodeId);
+        }
+      }
+      apiFieldNodeIds.set(field, nodeIdsForField);
+    }
+    const apiFields = requestedFields.filter(f => apiFieldNodeIds.get(f)!.size > 0);
+
+    if (cachedCount > 0) {
+      sendToUI({
+        type: 'status',
+        message: `${cachedCount} result${cachedCount !== 1 ? 's' : ''} served from cache.`,
+      });
+    }
+
+    // Submit API calls for all uncached fields and poll for results
+    const { responses: fieldResponses, errors: fieldErrors, failed, credits: remainingCredits } = apiFields.length > 0
+      ? await submitAndPollAllFields(
+        settings.apiKey,
+        fileNames,
+        {
+          load: exportImage,
+          estimateBytes: nodeId => estimateImageUploadBytes(
+            nodeMap.get(nodeId)!, rawImages.get(nodeId) || null, settings.imageExport, backends
+          ),
+        },
+        settings,
+        apiFields,
+        run,
+        apiFieldNodeIds,
+        promptVars,
+        backends
+      )
+      : { responses: new Map<FieldType, VisionatiResponse>(), errors: [], failed: [], credits: undefined };
+
+    // Failed pairs per field, with the layers linked to each failed image, for "Retry failed"
+    const failedNodeIds = new Map<FieldType, Set<string>>();
+    for (const f of failed) {
+      const ids = failedNodeIds.get(f.field) || new Set<string>();
+      for (const id of f.nodeIds) {
+        ids.add(id);
+        for (const linked of linkedNodesByRep.get(id) || []) ids.add(linked.nodeId);
+      }
+      failedNodeIds.set(f.field, ids);
+    }
+    const failedRequests: FailedRequest[] = [...failedNodeIds].map(([field, ids]) => ({ field, nodeIds: [...ids] }));
+
+    // Cancelled before anything came back
+    if (fieldResponses.size === 0 && cachedCount === 0 && run.cancelled) {
+      sendToUI({ type: 'generation-cancelled' });
+      return;
+    }
+
+    if (fieldResponses.size === 0 && cachedCount === 0 && exportFailures.size === fileNames.length) {
+      sendToUI({
+        type: 'error',
+        message: 'Failed to export any images. Please try again.',
+      });
+      return;
+    }
 
     // If ALL fields failed, show error and bail
-    if (fieldResponses.size === 0) {
+    if (fieldResponses.size === 0 && cachedCount === 0) {
       const messages = fieldErrors.map(e => e.message);
       sendToUI({
         type: 'error',
         messages: messages.length > 0
           ? messages
           : ['The API returned no results. Try a different model or check your API credits.'],
+        failed: failedRequests,
       });
       return;
     }
@@ -1008,11 +3736,23 @@ async function generateForFields(
 
     // Initialize entries for all exported nodes
     for (const info of nodeInfos) {
+      const linked = linkedNodesByRep.get(info.nodeId) || [];
+      // Main component layers grouped by image pass on the instances inheriting from them
+      const components = [info.nodeId, ...linked.map(ln => ln.nodeId)]
+        .map(id => componentInfo.get(id))
+        .filter((c): c is ComponentInfo => !!c);
+      const inheritedBy = components.flatMap(c => c.inheritedBy || []);
+      const component = components.length > 0
+        ? { ...components[0], inheritedBy: inheritedBy.length > 0 ? inheritedBy : undefined }
+        : undefined;
       nodeResultMap.set(info.nodeId, {
         nodeId: info.nodeId,
         nodeName: info.nodeName,
         thumbnail: info.thumbnail || undefined,
-        fields: [],
+        fields: cachedFieldsByNode.get(info.nodeId) || [],
+        linkedNodes: linked.length > 0 ? linked : undefined,
+        context: promptVars.get(info.nodeId)!.context,
+        component,
       });
     }
 
@@ -1022,7 +3762,7 @@ async function generateForFields(
     const fieldsWithSubmissionErrors = new Set<FieldType>(fieldErrors.map(e => e.field));
     for (const [field, response] of fieldResponses) {
       if (response.all && response.all.errors && response.all.errors.length > 0) {
-        const label = FIELD_CONFIGS[field].categoryLabel;
+        const label = getFieldConfig(field).categoryLabel;
         console.warn(`[Visionati] ${label} backend errors:`, response.all.errors);
         // Only add if not already captured during submission phase
         if (!fieldsWithSubmissionErrors.has(field)) {
@@ -1061,27 +3801,50 @@ async function generateForFields(
         const nodeResult = nodeResultMap.get(nodeId);
         if (!nodeResult) continue;
 
-        let description = '';
-        let backendName = settings.backend;
-
-        if (asset.descriptions && asset.descriptions.length > 0) {
-          if (DEBUG) console.log(`[Visionati] Asset ${i}: ${asset.descriptions.length} description(s), first: ${JSON.stringify(asset.descriptions[0]).substring(0, 150)}`);
-          description = asset.descriptions[0].description || '';
-          backendName = asset.descriptions[0].source || settings.backend;
-        } else {
-          if (DEBUG) console.log(`[Visionati] Asset ${i}: no descriptions`);
-        }
+        // One description per backend (source); a normal run has a single backend
+        const alternatives = (asset.descriptions || [])
+          .filter(d => d.description)
+          .map(d => ({ backend: d.source || settings.backend, description: d.description }));
+        if (DEBUG) console.log(`[Visionati] Asset ${i}: ${alternatives.length} description(s)${alternatives.length > 0 ? `, first: ${JSON.stringify(alternatives[0]).substring(0, 150)}` : ''}`);
 
-        if (description) {
-          nodeResult.fields.push({
+        if (alternatives.length > 0) {
+          const prompt = resolveFieldPrompt(field, settings, promptVars.get(nodeId)!);
+          const result: FieldResult = {
             field: field,
-            description: description,
-            backend: backendName,
-          });
+            description: alternatives[0].description,
+            backend: alternatives[0].backend,
+            language: getFieldConfig(field).language,
+            promptHash: promptHash(field, prompt),
+          };
+          if (comparing) {
+            result.alternatives = alternatives;
+          }
+          nodeResult.fields.push(result);
         }
       }
     }
 
+    // Store fresh results in the cache (compare runs are not cached: the key has one backend)
+    for (const nodeResult of comparing ? [] : nodeResultMap.values()) {
+      const imageKey = imageKeys.get(nodeResult.nodeId);
+      if (!imageKey) continue;
+      for (const f of nodeResult.fields) {
+        if (f.cached) continue;
+        const prompt = resolveFieldPrompt(f.field, settings, promptVars.get(nodeResult.nodeId)!);
+        resultCache[resultCacheKey(imageKey, settings, f.field, prompt)] = {
+          description: f.description,
+          backend: f.backend,
+          usedAt: now,
+        };
+      }
+    }
+    try {
+      await saveResultCache(resultCache);
+      sendToUI({ type: 'cache-info', entries: Object.keys(resultCache).length });
+    } catch (err) {
+      console.warn('[Visionati] Failed to save result cache:', err);
+    }
+
     // Collect results that have at least one field
     const results: NodeResult[] = [];
     for (const nodeResult of nodeResultMap.values()) {
@@ -1090,6 +3853,11 @@ async function generateForFields(
       }
     }
 
+    if (results.length === 0 && run.cancelled) {
+      sendToUI({ type: 'generation-cancelled' });
+      return;
+    }
+
     if (results.length === 0) {
       const messages = fieldErrors.map(e => e.message);
       sendToUI({
@@ -1097,12 +3865,14 @@ async function generateForFields(
         messages: messages.length > 0
           ? messages
           : ['The API returned no descriptions. Try a different model or check your API credits.'],
+        failed: failedRequests,
       });
       return;
     }
 
     // Detect fields that were requested but produced no descriptions anywhere
-    // (API call "succeeded" but returned empty/no descriptions — silent failure)
+    // (API call "succeeded" but returned empty/no descriptions — silent failure).
+    // A cancelled run is expected to be missing fields, so skip the check then.
     const fieldsWithResults = new Set<FieldType>();
     for (const nr of results) {
       for (const f of nr.fields) {
@@ -1110,9 +3880,10 @@ async function generateForFields(
       }
     }
     const fieldsAlreadyErrored = new Set<FieldType>(fieldErrors.map(e => e.field));
-    for (const field of fields) {
+    for (const field of apiFields) {
+      if (run.cancelled) break;
       if (!fieldsWithResults.has(field) && !fieldsAlreadyErrored.has(field)) {
-        const label = FIELD_CONFIGS[field].categoryLabel;
+        const label = getFieldConfig(field).categoryLabel;
         console.warn(`[Visionati] ${label}: API returned no descriptions (response had assets but all descriptions were empty)`);
         fieldErrors.push({
           field,
@@ -1123,13 +3894,36 @@ async function generateForFields(
 
     // Report partial errors (some fields failed, others succeeded)
     if (fieldErrors.length > 0) {
-      const failedLabels = fieldErrors.map(e => FIELD_CONFIGS[e.field].categoryLabel);
+      const failedLabels = fieldErrors.map(e => getFieldConfig(e.field).categoryLabel);
       sendToUI({
         type: 'status',
         message: `Warning: ${failedLabels.join(', ')} failed. Showing results for fields that succeeded.`,
       });
     }
 
+    // A group's result goes only to the layers that need each field, so Apply
+    // doesn't overwrite the annotations that only-missing mode skipped
+    if (neededNodeIds) {
+      for (const nr of results) {
+        const groupIds = [nr.nodeId, ...(nr.linkedNodes || []).map(ln => ln.nodeId)];
+        for (const f of nr.fields) {
+          const needed = groupIds.filter(id => neededNodeIds.get(f.field)!.has(id));
+          if (needed.length < groupIds.length) f.nodeIds = needed;
+        }
+      }
+    }
+
+    // Lint before the preview so problems show up next to the text, and flag
+    // results that replace a stale annotation
+    for (const nr of results) {
+      const issues = lintNodeFields(nr.nodeName, nr.fields, settings.lint);
+      const stale = staleByNode.get(nr.nodeId) || [];
+      nr.fields.forEach((f, i) => {
+        f.lint = issues[i];
+        if (stale.includes(f.field)) f.stale = true;
+      });
+    }
+
     // Send results to UI for preview
     sendToUI({
       type: 'results',
@@ -1137,14 +3931,25 @@ async function generateForFields(
       totalImages: imageNodes.length,
       fields: fields,
       fieldErrors: fieldErrors.map(e => ({ field: e.field, message: e.message })),
+      failed: failedRequests,
       credits: remainingCredits,
+      cancelled: run.cancelled,
+      skipped: { images: skippedImages, fields: skippedFields, decorative: decorativeCount, filtered: scanStats.filtered },
     });
   } catch (err: any) {
+    if (err instanceof GenerationCancelledError) {
+      sendToUI({ type: 'generation-cancelled' });
+      return;
+    }
     const message = err?.message || String(err);
     sendToUI({
       type: 'error',
       message: message,
     });
+  } finally {
+    if (activeRun === run) {
+      activeRun = null;
+    }
   }
 }
 
@@ -1166,6 +3971,36 @@ figma.ui.onmessage = async (msg: UIMessage) => {
       break;
     }
 
+    case 'image-encoded': {
+      const finish = pendingImageEncodes.get(msg.id);
+      if (finish) {
+        if (msg.error) console.warn('[Visionati] Image encoding failed:', msg.error);
+        finish(msg.bytes && !msg.error ? msg.bytes : null);
+      }
+      break;
+    }
+
+    case 'list-pages': {
+      sendToUI({
+        type: 'pages',
+        pages: figma.root.children.map(page => ({ id: page.id, name: page.name })),
+        currentPageId: figma.currentPage.id,
+      });
+      break;
+    }
+
+    case 'estimate-upload': {
+      try {
+        const estimate = await estimateUpload(
+          normalizeImageExportOptions(msg.imageExport), [msg.backend], normalizeScanFilters(msg.filters), !!msg.rawImage
+        );
+        sendToUI({ type: 'upload-estimate', ...estimate });
+      } catch (err) {
+        console.warn('[Visionati] Failed to estimate upload size:', err);
+      }
+      break;
+    }
+
     case 'save-settings': {
       try {
         await saveSettings(msg.settings);
@@ -1177,8 +4012,138 @@ figma.ui.onmessage = async (msg: UIMessage) => {
       break;
     }
 
+    case 'save-custom-fields': {
+      try {
+        const defs = normalizeCustomFields(msg.fields);
+        await saveCustomFields(defs);
+        registerCustomFields(defs);
+        sendFieldConfigs();
+        sendToUI({ type: 'status', message: 'Custom fields saved.' });
+        sendSelectionAnnotations();
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to save custom fields: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'export-annotations': {
+      try {
+        sendToUI({ type: 'status', message: 'Collecting annotations...' });
+        const pages = msg.scope === 'document' ? figma.root.children : [figma.currentPage];
+        const rows = await collectAnnotationRows(pages);
+        sendToUI({ type: 'annotations-exported', scope: msg.scope, format: msg.format, rows });
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to export annotations: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'import-preview': {
+      try {
+        sendToUI({ type: 'status', message: 'Matching import rows...' });
+        const preview = await buildImportPreview(msg.rows);
+        sendToUI({ type: 'import-preview', matches: preview.matches, conflicts: preview.conflicts });
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to read import: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'import-apply': {
+      let applied = 0;
+      let failed = 0;
+
+      const allFieldTypes = new Set<FieldType>();
+      for (const nodeData of msg.nodes) {
+        for (const f of nodeData.fields) {
+          allFieldTypes.add(f.field);
+        }
+      }
+      const categoryIds = await ensureCategories([...allFieldTypes]);
+      const settings = await loadSettings();
+      const batch = await startHistoryBatch('Import');
+
+      for (const nodeData of msg.nodes) {
+        try {
+          const node = await figma.getNodeByIdAsync(nodeData.nodeId) as SceneNode | null;
+          if (!node) {
+            failed++;
+            continue;
+          }
+          const decorative = nodeData.fields.some(f => isDecorativeImportText(f.field, f.description));
+          const writes = nodeData.fields.filter(f => !isDecorativeImportText(f.field, f.description));
+          await recordWrite(batch, node, async () => {
+            if (decorative) await writeDecorativeAnnotation(node, categoryIds);
+            if (writes.length > 0) await writeMultipleFieldAnnotations(node, writes, categoryIds, settings);
+          });
+          setRelaunchOnNode(node);
+          applied++;
+        } catch {
+          failed++;
+        }
+      }
+
+      figma.notify(`Imported annotations for ${applied} layer${applied !== 1 ? 's' : ''}${failed > 0 ? `. ${failed} failed` : ''}.`);
+      sendToUI({ type: 'import-applied', applied, failed });
+      sendHistory();
+      sendSelectionAnnotations();
+      break;
+    }
+
+    case 'run-audit': {
+      try {
+        sendToUI({ type: 'status', message: 'Auditing images...' });
+        const pages = msg.scope === 'document' ? figma.root.children : [figma.currentPage];
+        const entries = await buildAuditReport(pages);
+        sendToUI({ type: 'audit-report', scope: msg.scope, entries });
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Audit failed: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'focus-node': {
+      try {
+        const node = await figma.getNodeByIdAsync(msg.nodeId) as SceneNode | null;
+        if (!node) {
+          sendToUI({ type: 'error', message: 'Layer not found. It may have been deleted.' });
+          break;
+        }
+        // Switch to the node's page first when it lives elsewhere
+        let page: BaseNode | null = node.parent;
+        while (page && page.type !== 'PAGE') page = page.parent;
+        if (page && page !== figma.currentPage) {
+          await figma.setCurrentPageAsync(page as PageNode);
+        }
+        figma.currentPage.selection = [node];
+        figma.viewport.scrollAndZoomIntoView([node]);
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to select layer: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'clear-cache': {
+      try {
+        await figma.clientStorage.deleteAsync(RESULT_CACHE_STORAGE_KEY);
+        sendToUI({ type: 'cache-info', entries: 0 });
+        sendToUI({ type: 'status', message: 'Result cache cleared.' });
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to clear cache: ${err?.message || err}` });
+      }
+      break;
+    }
+
     case 'generate': {
-      await generateForFields(msg.source, msg.fields);
+      await generateForFields(msg.source, msg.fields, { ...DEFAULT_GENERATE_OPTIONS, ...msg.options });
+      break;
+    }
+
+    case 'cancel-generate': {
+      if (activeRun && !activeRun.cancelled) {
+        activeRun.cancelled = true;
+        sendToUI({ type: 'status', message: 'Cancelling...' });
+      }
       break;
     }
 
@@ -1193,15 +4158,26 @@ figma.ui.onmessage = async (msg: UIMessage) => {
           break;
         }
         const categoryIds = await ensureCategories([msg.field]);
-        await writeFieldAnnotation(node, msg.field, msg.description, categoryIds);
-        setRelaunchOnNode(node);
+        const settings = await loadSettings();
+        const source: FieldSource = { backend: msg.backend, promptHash: msg.promptHash, edited: msg.edited };
+        const targets = [node, ...await resolveLinkedNodes(msg.linkedNodeIds)]
+          .filter(t => !msg.nodeIds || msg.nodeIds.includes(t.id));
+        const batch = await startHistoryBatch('Apply');
+        try {
+          for (const target of targets) {
+            await recordWrite(batch, target, () => writeFieldAnnotation(target, msg.field, msg.description, categoryIds, settings, source));
+            setRelaunchOnNode(target);
+          }
+        } finally {
+          sendHistory();
+        }
         sendToUI({
           type: 'field-applied',
           nodeId: msg.nodeId,
           field: msg.field,
         });
-        const label = FIELD_CONFIGS[msg.field].categoryLabel;
-        figma.notify(`${label} applied to "${node.name}".`);
+        const label = getFieldConfig(msg.field).categoryLabel;
+        figma.notify(`${label} applied to ${appliedToText(node, targets)}.`);
         sendSelectionAnnotations();
       } catch (err: any) {
         sendToUI({
@@ -1224,8 +4200,20 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         }
         const fieldTypes = msg.fields.map(f => f.field);
         const categoryIds = await ensureCategories(fieldTypes);
-        await writeMultipleFieldAnnotations(node, msg.fields, categoryIds);
-        setRelaunchOnNode(node);
+        const settings = await loadSettings();
+        const targets: SceneNode[] = [];
+        const batch = await startHistoryBatch('Apply');
+        try {
+          for (const target of [node, ...await resolveLinkedNodes(msg.linkedNodeIds)]) {
+            const writes = writesForTarget(msg.fields, target);
+            if (writes.length === 0) continue;
+            await recordWrite(batch, target, () => writeMultipleFieldAnnotations(target, writes, categoryIds, settings));
+            setRelaunchOnNode(target);
+            targets.push(target);
+          }
+        } finally {
+          sendHistory();
+        }
 
         for (const f of msg.fields) {
           sendToUI({
@@ -1237,7 +4225,7 @@ figma.ui.onmessage = async (msg: UIMessage) => {
 
         const count = msg.fields.length;
         figma.notify(
-          `${count} annotation${count !== 1 ? 's' : ''} applied to "${node.name}".`
+          `${count} annotation${count !== 1 ? 's' : ''} applied to ${appliedToText(node, targets)}.`
         );
         sendSelectionAnnotations();
       } catch (err: any) {
@@ -1261,6 +4249,8 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         }
       }
       const categoryIds = await ensureCategories([...allFieldTypes]);
+      const settings = await loadSettings();
+      const batch = await startHistoryBatch('Apply All');
 
       for (const nodeData of msg.nodes) {
         try {
@@ -1269,8 +4259,12 @@ figma.ui.onmessage = async (msg: UIMessage) => {
             failed++;
             continue;
           }
-          await writeMultipleFieldAnnotations(node, nodeData.fields, categoryIds);
-          setRelaunchOnNode(node);
+          for (const target of [node, ...await resolveLinkedNodes(nodeData.linkedNodeIds)]) {
+            const writes = writesForTarget(nodeData.fields, target);
+            if (writes.length === 0) continue;
+            await recordWrite(batch, target, () => writeMultipleFieldAnnotations(target, writes, categoryIds, settings));
+            setRelaunchOnNode(target);
+          }
 
           for (const f of nodeData.fields) {
             sendToUI({
@@ -1299,10 +4293,23 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         applied: applied,
         failed: failed,
       });
+      sendHistory();
       sendSelectionAnnotations();
       break;
     }
 
+    case 'lint-results': {
+      const rules = normalizeLintSettings(msg.rules);
+      sendToUI({
+        type: 'results-linted',
+        nodes: msg.nodes.map(n => {
+          const issues = lintNodeFields(n.nodeName, n.fields, rules);
+          return { nodeId: n.nodeId, fields: n.fields.map((f, i) => ({ field: f.field, lint: issues[i] })) };
+        }),
+      });
+      break;
+    }
+
     case 'discard-field': {
       sendToUI({
         type: 'field-discarded',
@@ -1341,25 +4348,40 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         }
 
         const existing: Annotation[] = [...((node as any).annotations || [])];
-
-        if (targetCategoryId) {
-          // Remove annotations matching the category
-          const filtered = existing
-            .filter((a: Annotation) => a.categoryId !== targetCategoryId)
-            .map(sanitizeAnnotation);
-          (node as any).annotations = filtered;
-        } else {
-          // No category match — remove by label text match
-          const filtered = existing
-            .filter((a: Annotation) => {
-              const text = a.labelMarkdown || a.label || '';
-              return !text.includes(`**${msg.categoryLabel.toUpperCase()}**`);
-            })
-            .map(sanitizeAnnotation);
-          (node as any).annotations = filtered;
-        }
+        // Removing the alt text also removes a decorative marker
+        const isAltText = msg.categoryLabel === BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+        const prefix = annotationPrefixForLabel(msg.categoryLabel);
+
+        const batch = await startHistoryBatch('Remove');
+        await recordWrite(batch, node, () => {
+          if (targetCategoryId) {
+            // Remove annotations matching the category
+            const filtered = existing
+              .filter((a: Annotation) => a.categoryId !== targetCategoryId)
+              .map(sanitizeAnnotation);
+            (node as any).annotations = filtered;
+          } else {
+            // No category match — remove by label text match
+            const filtered = existing
+              .filter((a: Annotation) => {
+                const text = a.labelMarkdown || a.label || '';
+                if (isAltText && isDecorativeAnnotation(a)) return false;
+                return !text.includes(prefix);
+              })
+              .map(sanitizeAnnotation);
+            (node as any).annotations = filtered;
+          }
+          if (isAltText) {
+            node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+          }
+          const removedField = findFieldByCategoryLabel(msg.categoryLabel);
+          if (removedField) {
+            clearFieldMetadata(node, removedField);
+          }
+        });
 
         figma.notify(`Removed ${msg.categoryLabel} from "${node.name}".`);
+        sendHistory();
         sendSelectionAnnotations();
       } catch (err: any) {
         sendToUI({ type: 'error', message: `Failed to remove: ${err?.message || err}` });
@@ -1388,16 +4410,20 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         }
 
         const existing: Annotation[] = [...((node as any).annotations || [])];
+        const isAltText = msg.categoryLabel === BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+        const prefix = annotationPrefixForLabel(msg.categoryLabel);
         let found = false;
 
         const updated = existing.map((a: Annotation) => {
           const matchesCat = targetCategoryId && a.categoryId === targetCategoryId;
-          const matchesText = !targetCategoryId && (a.labelMarkdown || a.label || '').includes(`**${msg.categoryLabel.toUpperCase()}**`);
+          const matchesText = !targetCategoryId && (
+            (a.labelMarkdown || a.label || '').includes(prefix) ||
+            (isAltText && isDecorativeAnnotation(a))
+          );
 
           if ((matchesCat || matchesText) && !found) {
             found = true;
             // Rebuild with the new text, preserving bold prefix and category
-            const prefix = `**${msg.categoryLabel.toUpperCase()}**`;
             const result: Record<string, any> = {
               labelMarkdown: `${prefix}\n${msg.newText}`,
             };
@@ -1409,8 +4435,28 @@ figma.ui.onmessage = async (msg: UIMessage) => {
         });
 
         if (found) {
-          (node as any).annotations = updated;
+          const settings = await loadSettings();
+          const batch = await startHistoryBatch('Edit');
+          await recordWrite(batch, node, () => {
+            (node as any).annotations = updated;
+            // Writing real alt text over a decorative marker un-marks the node
+            if (isAltText) {
+              node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+            }
+            // Keep the generation details of edited text, or record it as new
+            const editedField = findFieldByCategoryLabel(msg.categoryLabel);
+            if (editedField) {
+              const previous = readFieldMetadata(node, editedField);
+              writeFieldMetadata(node, {
+                field: editedField,
+                description: msg.newText,
+                backend: previous?.backend || undefined,
+                promptHash: previous?.promptHash || undefined,
+              }, settings, 'edited');
+            }
+          });
           figma.notify(`Updated ${msg.categoryLabel} on "${node.name}".`);
+          sendHistory();
         } else {
           sendToUI({ type: 'error', message: `No ${msg.categoryLabel} annotation found on "${node.name}".` });
         }
@@ -1421,6 +4467,106 @@ figma.ui.onmessage = async (msg: UIMessage) => {
       break;
     }
 
+    case 'mark-decorative': {
+      try {
+        const node = await figma.getNodeByIdAsync(msg.nodeId) as SceneNode | null;
+        if (!node) {
+          sendToUI({
+            type: 'error',
+            message: `Node not found: ${msg.nodeId}. It may have been deleted.`,
+          });
+          break;
+        }
+        const categoryIds = await ensureCategories(['alt_text']);
+        const linkedNodes = await resolveLinkedNodes(msg.linkedNodeIds);
+        const batch = await startHistoryBatch('Decorative');
+        try {
+          for (const target of [node, ...linkedNodes]) {
+            await recordWrite(batch, target, () => writeDecorativeAnnotation(target, categoryIds));
+            setRelaunchOnNode(target);
+          }
+        } finally {
+          sendHistory();
+        }
+        sendToUI({ type: 'node-marked-decorative', nodeId: msg.nodeId });
+        figma.notify(`Marked "${node.name}" as decorative.`);
+        sendSelectionAnnotations();
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to mark decorative: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'set-treat-as-image': {
+      try {
+        const nodes: SceneNode[] = [];
+        for (const id of msg.nodeIds) {
+          const node = await figma.getNodeByIdAsync(id) as SceneNode | null;
+          if (node && canTreatAsImage(node)) nodes.push(node);
+        }
+        if (nodes.length === 0) {
+          sendToUI({ type: 'error', message: 'These layers can\'t be treated as images. Frame a group first.' });
+          break;
+        }
+        for (const node of nodes) {
+          node.setPluginData(TREAT_AS_IMAGE_PLUGIN_DATA_KEY, msg.value ? 'true' : '');
+          if (msg.value) setRelaunchOnNode(node);
+        }
+        sendToUI({ type: 'treat-as-image-set', nodeIds: nodes.map(n => n.id), value: msg.value });
+        const subject = nodes.length === 1 ? `"${nodes[0].name}"` : `${nodes.length} layers`;
+        figma.notify(msg.value
+          ? `Scans will describe ${subject} as ${nodes.length === 1 ? 'an image' : 'images'}.`
+          : `${subject} ${nodes.length === 1 ? 'is' : 'are'} no longer treated as ${nodes.length === 1 ? 'an image' : 'images'}.`);
+        sendSelectionAnnotations();
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to update layers: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'restore-version': {
+      try {
+        const node = await figma.getNodeByIdAsync(msg.nodeId) as SceneNode | null;
+        const version = node ? readFieldVersions(node, msg.field).find(v => v.at === msg.at) : undefined;
+        if (!node || !version) {
+          sendToUI({ type: 'error', message: 'That version is no longer on the layer.' });
+          break;
+        }
+        const categoryIds = await ensureCategories([msg.field]);
+        const settings = await loadSettings();
+        const batch = await startHistoryBatch('Restore');
+        try {
+          await recordWrite(batch, node, () => writeFieldAnnotation(
+            node, msg.field, version.text, categoryIds, settings, { backend: version.backend || undefined }, 'restored'
+          ));
+        } finally {
+          sendHistory();
+        }
+        figma.notify(`Restored ${getFieldConfig(msg.field).categoryLabel} on "${node.name}" from ${new Date(version.at).toLocaleDateString()}.`);
+        sendSelectionAnnotations();
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to restore: ${err?.message || err}` });
+      }
+      break;
+    }
+
+    case 'revert-history': {
+      try {
+        const { reverted, skipped } = await revertHistoryEntries(msg.entryIds);
+        const parts: string[] = [`Reverted ${reverted} change${reverted !== 1 ? 's' : ''}`];
+        if (skipped > 0) {
+          parts.push(`${skipped} skipped: changed since, or the layer was deleted`);
+        }
+        figma.notify(parts.join('. ') + '.');
+        sendToUI({ type: 'history-reverted', reverted, skipped });
+        sendHistory();
+        sendSelectionAnnotations();
+      } catch (err: any) {
+        sendToUI({ type: 'error', message: `Failed to revert: ${err?.message || err}` });
+      }
+      break;
+    }
+
     case 'remove-all-annotations': {
       try {
         const node = await figma.getNodeByIdAsync(msg.nodeId) as SceneNode | null;
@@ -1428,8 +4574,16 @@ figma.ui.onmessage = async (msg: UIMessage) => {
           sendToUI({ type: 'error', message: 'Node not found or does not support annotations.' });
           break;
         }
-        (node as any).annotations = [];
+        const batch = await startHistoryBatch('Remove All');
+        await recordWrite(batch, node, () => {
+          (node as any).annotations = [];
+          node.setPluginData(DECORATIVE_PLUGIN_DATA_KEY, '');
+          for (const key of node.getSharedPluginDataKeys(SHARED_DATA_NAMESPACE)) {
+            clearFieldMetadata(node, key);
+          }
+        });
         figma.notify(`Removed all annotations from "${node.name}".`);
+        sendHistory();
         sendSelectionAnnotations();
       } catch (err: any) {
         sendToUI({ type: 'error', message: `Failed to remove: ${err?.message || err}` });
@@ -1456,15 +4610,25 @@ async function sendSelectionAnnotations(): Promise<void> {
   const annotatedNodes: Array<{
     nodeId: string;
     nodeName: string;
-    annotations: Array<{ label: string; categoryId?: string; text: string }>;
+    isImage: boolean;
+    decorative: boolean;
+    treatedAsImage: boolean;
+    canTreatAsImage: boolean;
+    component?: { name: string; inherited: boolean; overridden: boolean; library: boolean };
+    annotations: Array<{ label: string; categoryId?: string; text: string; stale: boolean; field?: FieldType; versions: FieldVersion[] }>;
   }> = [];
+  const categoryIds = await findCategoryIds();
 
   for (const node of selection) {
     if (!('annotations' in node)) continue;
-    const annotations = (node as any).annotations as ReadonlyArray<Annotation>;
-    if (!annotations || annotations.length === 0) continue;
-
-    const parsed: Array<{ label: string; categoryId?: string; text: string }> = [];
+    const annotations = ((node as any).annotations || []) as ReadonlyArray<Annotation>;
+    // Image nodes are listed even without annotations so they can be marked decorative,
+    // and other layers so they can be treated as images
+    const isImage = isImageNode(node);
+    if (annotations.length === 0 && !isImage && !canTreatAsImage(node)) continue;
+
+    const staleFields = getStaleFields(node, categoryIds);
+    const parsed: Array<{ label: string; categoryId?: string; text: string; stale: boolean; field?: FieldType; versions: FieldVersion[] }> = [];
     for (const ann of annotations) {
       const text = ann.labelMarkdown || ann.label || '';
       if (!text) continue;
@@ -1475,18 +4639,33 @@ async function sendSelectionAnnotations(): Promise<void> {
         const cat = await figma.annotations.getAnnotationCategoryByIdAsync(ann.categoryId);
         if (cat) label = cat.label;
       }
+      if (!label && isDecorativeAnnotation(ann)) {
+        label = BUILT_IN_FIELD_CONFIGS.alt_text.categoryLabel;
+      }
 
+      const field = getAnnotationField(ann, categoryIds);
       parsed.push({
         label: label,
         categoryId: ann.categoryId || undefined,
         text: text,
+        stale: !!field && staleFields.includes(field),
+        field: field || undefined,
+        versions: field ? readFieldVersions(node, field) : [],
       });
     }
 
-    if (parsed.length > 0) {
+    if (parsed.length > 0 || isImage || canTreatAsImage(node)) {
+      const source = isImage ? await resolveComponentSource(node) : null;
       annotatedNodes.push({
         nodeId: node.id,
         nodeName: node.name,
+        isImage,
+        decorative: isNodeDecorative(node),
+        treatedAsImage: isTreatedAsImage(node),
+        canTreatAsImage: canTreatAsImage(node),
+        component: source
+          ? { name: source.componentName, inherited: !!source.main, overridden: source.overridden, library: source.library }
+          : undefined,
         annotations: parsed,
       });
     }
@@ -1510,15 +4689,24 @@ async function showPluginUI(command?: string): Promise<void> {
     title: 'Visionati',
   });
 
+  // Custom fields must be registered before any generate or apply message arrives
+  registerCustomFields(await loadCustomFields());
+  sendFieldConfigs();
+
   // Send initial settings to UI
   const settings = await loadSettings();
   sendToUI({ type: 'settings', settings });
+  sendCacheInfo().catch(err => {
+    console.error('[Visionati] Failed to read result cache:', err);
+  });
 
   // If launched with a generate command, tell the UI to auto-trigger
-  if (command === 'selection' || command === 'all-images') {
-    sendToUI({ type: 'auto-generate', source: command as 'selection' | 'all-images' });
+  if (command === 'selection' || command === 'all-images' || command === 'all-pages') {
+    sendToUI({ type: 'auto-generate', source: command as 'selection' | 'all-images' | 'all-pages' });
   } else if (command === 'settings') {
     sendToUI({ type: 'switch-tab', tab: 'settings' });
+  } else if (command === 'export') {
+    sendToUI({ type: 'switch-tab', tab: 'data' });
   }
 
   // Listen for selection changes to show existing annotations
@@ -1548,7 +4736,9 @@ figma.on('run', async ({ command }: RunEvent) => {
       case 'open':
       case 'selection':
       case 'all-images':
+      case 'all-pages':
       case 'settings':
+      case 'export':
         await showPluginUI(command);
         break;
       default: